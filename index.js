@@ -1,8 +1,11 @@
 const express = require('express');
 const { google } = require('googleapis');
+const { createTwoFilesPatch } = require('diff');
 const fs = require('fs').promises;
 const path = require('path');
-const readline = require('readline');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
 require('dotenv').config();
 
 // Initialize Express app
@@ -12,85 +15,287 @@ app.use(express.json());
 // Initialize Google APIs
 const sheets = google.sheets('v4');
 const script = google.script('v1');
+const drive = google.drive('v3');
 
 // Configuration from .env
 const SHEET_NAME = process.env.SHEET_NAME || 'TVDE Users';
-const SHEET_ID_COLUMN = process.env.SHEET_ID_COLUMN || 'D';
-const SCRIPT_ID_COLUMN = process.env.SCRIPT_ID_COLUMN || 'E';
-const BUTTON_IMAGE_ID_COLUMN = process.env.BUTTON_IMAGE_ID_COLUMN || 'F';
-const BUTTON_COORDINATES_COLUMN = process.env.BUTTON_COORDINATES_COLUMN || 'G';
 const START_ROW = parseInt(process.env.START_ROW) || 2;
 const SOURCE_SCRIPT_ID = process.env.SOURCE_SCRIPT_ID || 'your_source_script_id';
+const SOURCE_DIR = process.env.SOURCE_DIR || null;
+const SOURCES_ROOT = process.env.SOURCES_ROOT || path.join(__dirname, 'sources');
+const SOURCE_FILE_TYPES = { '.gs': 'SERVER_JS', '.js': 'SERVER_JS', '.html': 'HTML' };
+const CLASP_CONFIG_FILE = '.clasp.json';
+const TEMPLATE_VARIABLE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Z][A-Z0-9_]*)\s*(?:\|\s*(json)\s*)?\}\}/g;
+const MANIFEST_FILE_NAME = 'appsscript';
+const BUTTON_TAG_PREFIX = 'appsscript-copier:';
+const BUTTON_MODES = ['replace', 'update', 'skip'];
+const MERGE_STRATEGIES = ['replace', 'protected'];
+const PROTECTED_BEGIN_PATTERN = /appsscript-copier:begin-protected\s+([A-Za-z0-9_.-]+)/;
+const PROTECTED_END_PATTERN = /appsscript-copier:end-protected\s+([A-Za-z0-9_.-]+)/;
+const HELPER_FILE_NAMES = ['tempCopyButtons', 'tempManageTriggers'];
+const CLEANUP_POLICIES = ['onSuccess', 'never'];
+const TRIGGER_TYPES = ['time', 'onEdit', 'onChange', 'onOpen', 'onFormSubmit'];
+const TRIGGER_SCHEDULES = { everyMinutes: [1, 5, 10, 15, 30], everyHours: [1, 2, 4, 6, 8, 12] };
+const WEEK_DAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+const TRIGGER_PROPERTY_KEY = 'appsscript-copier:triggers';
+const FUNCTION_NAME_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+const SHEET_TAB_PATTERN = /^[\p{L}\p{N} _.,'()&#+-]{1,100}$/u;
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+const SAFE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const CONCURRENCY = parseInt(process.env.CONCURRENCY) || 4;
+const MAX_CONCURRENCY = 20;
+const MAX_ATTEMPTS = parseInt(process.env.MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MS) || 1000;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.RETRY_MAX_DELAY_MS) || 60000;
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS) || 24 * 60 * 60 * 1000;
+const MASTER_SHEET_CACHE_TTL_MS = parseInt(process.env.MASTER_SHEET_CACHE_TTL_MS) || 0;
+const CREDENTIALS_PATH = process.env.CREDENTIALS_PATH || path.join(__dirname, 'credentials.json');
+const TOKEN_PATH = process.env.TOKEN_PATH || path.join(__dirname, 'token.json');
+const IMPERSONATE_SUBJECT = process.env.IMPERSONATE_SUBJECT || null;
+const PROFILES_DIR = process.env.PROFILES_DIR || path.join(__dirname, 'profiles');
+const DEFAULT_PROFILE = 'default';
+const OAUTH_REDIRECT_URI = process.env.OAUTH_REDIRECT_URI || null;
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const GOOGLE_SCOPES = [
+  'https://www.googleapis.com/auth/spreadsheets',
+  'https://www.googleapis.com/auth/script.projects',
+  'https://www.googleapis.com/auth/script.scriptapp',
+  'https://www.googleapis.com/auth/drive'
+];
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const RUN_HISTORY_FILE = process.env.RUN_HISTORY_FILE || path.join(__dirname, 'runs', 'history.jsonl');
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, 'api-keys.json');
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(__dirname, 'audit.log');
+const API_SCOPES = ['copyFunctions', 'copyButtons', 'triggers', 'admin'];
+const ROLLOUT_SCOPES = ['copyFunctions', 'copyButtons', 'triggers'];
+
+// Master sheet columns, found by header name (row above START_ROW) unless a column letter is configured
+const MASTER_SHEET_SCHEMA = {
+  sheetId: { header: process.env.SHEET_ID_HEADER || 'Sheet Id', column: process.env.SHEET_ID_COLUMN, required: true },
+  scriptId: { header: process.env.SCRIPT_ID_HEADER || 'Script Id', column: process.env.SCRIPT_ID_COLUMN, required: true },
+  buttonImageIds: { header: process.env.BUTTON_IMAGE_ID_HEADER || 'Button Image Ids', column: process.env.BUTTON_IMAGE_ID_COLUMN },
+  coordinates: { header: process.env.BUTTON_COORDINATES_HEADER || 'Button Coordinates', column: process.env.BUTTON_COORDINATES_COLUMN },
+  buttonFunctions: { header: process.env.BUTTON_FUNCTIONS_HEADER || 'Button Functions', column: process.env.BUTTON_FUNCTIONS_COLUMN },
+  buttonStyles: { header: process.env.BUTTON_STYLES_HEADER || 'Button Styles', column: process.env.BUTTON_STYLES_COLUMN },
+  profile: { header: process.env.PROFILE_HEADER || 'Profile', column: process.env.PROFILE_COLUMN },
+  // Rollout status columns, written back after each run when present
+  lastFunctionSync: { header: process.env.LAST_FUNCTION_SYNC_HEADER || 'Last Function Sync', column: process.env.LAST_FUNCTION_SYNC_COLUMN, status: true },
+  codeVersion: { header: process.env.CODE_VERSION_HEADER || 'Code Version', column: process.env.CODE_VERSION_COLUMN, status: true },
+  lastButtonSync: { header: process.env.LAST_BUTTON_SYNC_HEADER || 'Last Button Sync', column: process.env.LAST_BUTTON_SYNC_COLUMN, status: true },
+  lastError: { header: process.env.LAST_ERROR_HEADER || 'Last Error', column: process.env.LAST_ERROR_COLUMN, status: true }
+};
+
+// Remediation hints by problem, returned with failed targets and validation issues
+const REMEDIATION_HINTS = {
+  scriptNotFound: ({ spreadsheetId, scriptId }) => [
+    `Recommended: open https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit, go to Extensions → Apps Script and copy the script ID from the URL`,
+    `Update the "${MASTER_SHEET_SCHEMA.scriptId.header}" column in the master sheet with that ID`,
+    'Or clear that cell and send "discoverScripts": "true" to find or create the bound script automatically',
+    'Check you are using the same Google account (profile) that owns the script',
+    `Verify the script still exists at https://script.google.com/home/projects/${scriptId}/edit`
+  ],
+  scriptPermission: () => [
+    'Make sure the profile used for this target is the right Google account',
+    'Re-authorize through GET /auth/start',
+    'Grant editor access to the script project'
+  ],
+  executionPermission: () => [
+    'Apps Script API is enabled: https://console.cloud.google.com/apis/library/script.googleapis.com',
+    'OAuth scope includes https://www.googleapis.com/auth/script.scriptapp',
+    'Re-authorize through GET /auth/start if you added new scopes'
+  ],
+  missingScriptId: () => [
+    `Fill in the "${MASTER_SHEET_SCHEMA.scriptId.header}" column, or send "discoverScripts": "true" to find or create the bound script`
+  ],
+  invalidId: () => [
+    'Use the ID from the URL (https://docs.google.com/spreadsheets/d/<ID>/edit or https://script.google.com/d/<ID>/edit)'
+  ],
+  spreadsheetUnavailable: ({ spreadsheetId }) => [
+    `Check that https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit exists`,
+    'Share it (Editor access) with the account of the profile used for this target'
+  ],
+  notBound: ({ spreadsheetId }) => [
+    'Buttons can only run functions of the script bound to the spreadsheet',
+    `Use the script opened from Extensions → Apps Script in https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`
+  ],
+  tabMissing: ({ tab }) => [
+    `Create a tab named "${tab}" or send the right targetSheetTab`
+  ],
+  imageUnavailable: ({ imageId }) => [
+    `Check that https://drive.google.com/file/d/${imageId}/view exists and is shared with the account of the profile used for this target`
+  ],
+  invalidButtons: () => [
+    'Fix the button columns of this row (see "Per-Button Functions and Styling" in the README)'
+  ]
+};
+
+// Rollout jobs submitted through /jobs, kept in memory for the lifetime of the process
+const jobs = new Map();
+
+// Log context (runId, targetId) of the code currently running, added to every log entry
+const logContext = new AsyncLocalStorage();
+
+// Master sheet snapshots keyed by spreadsheet ID, used when MASTER_SHEET_CACHE_TTL_MS is set
+const masterSheetCache = new Map();
+
+// Pending browser OAuth flows keyed by their `state` value, started by /auth/start
+const oauthStates = new Map();
 
 /**
- * Authorize using OAuth2
+ * Create a leveled logger writing one JSON object per line: time, level, msg, the current
+ * log context (runId, targetId) and any fields passed with the message.
+ * Entries below LOG_LEVEL are dropped; warnings and errors go to stderr.
  */
-async function authorize() {
-  const TOKEN_PATH = path.join(__dirname, 'token.json');
-  const CREDENTIALS_PATH = path.join(__dirname, 'credentials.json');
-  
-  let credentials;
+function createLogger() {
+  const threshold = LOG_LEVELS[LOG_LEVEL] || LOG_LEVELS.info;
+  const write = (level, msg, fields = {}) => {
+    if (LOG_LEVELS[level] < threshold) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...logContext.getStore(), ...fields };
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(entry) + '\n');
+  };
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+  };
+}
+
+const logger = createLogger();
+
+/**
+ * Run a task with extra log context (e.g. { runId } or { targetId }) on top of the current one
+ */
+function withLogContext(fields, task) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, task);
+}
+
+/**
+ * Files of a credential profile. The default profile uses CREDENTIALS_PATH and TOKEN_PATH;
+ * a named profile lives in PROFILES_DIR/<name>/ (credentials.json, token.json, optional profile.json).
+ */
+function getProfilePaths(profile) {
+  if (!profile || profile === DEFAULT_PROFILE) {
+    return { name: DEFAULT_PROFILE, credentialsPath: CREDENTIALS_PATH, tokenPath: TOKEN_PATH, settingsPath: null };
+  }
+  if (typeof profile !== 'string' || !SAFE_ID_PATTERN.test(profile)) {
+    throw new Error(`Invalid profile name "${profile}" (letters, digits, _ and - only)`);
+  }
+  const dir = path.join(PROFILES_DIR, profile);
+  return {
+    name: profile,
+    credentialsPath: path.join(dir, 'credentials.json'),
+    tokenPath: path.join(dir, 'token.json'),
+    settingsPath: path.join(dir, 'profile.json')
+  };
+}
+
+/**
+ * Load a profile's credentials.json: a service account key, or an `installed`/`web` OAuth client
+ */
+async function loadCredentials(profile) {
+  const { name, credentialsPath } = getProfilePaths(profile);
   try {
-    const content = await fs.readFile(CREDENTIALS_PATH);
-    credentials = JSON.parse(content);
+    return JSON.parse(await fs.readFile(credentialsPath, 'utf8'));
   } catch (err) {
-    throw new Error('Error loading credentials.json: ' + err.message);
+    throw new Error(`Error loading credentials of profile "${name}": ${err.message}`);
   }
+}
 
-  const { client_secret, client_id, redirect_uris } = credentials.installed || credentials.web;
-  const oAuth2Client = new google.auth.OAuth2(client_id, client_secret, redirect_uris[0]);
-
+/**
+ * Load a named profile's optional profile.json, e.g. { "subject": "user@example.com" }
+ */
+async function loadProfileSettings(profile) {
+  const { settingsPath } = getProfilePaths(profile);
+  if (!settingsPath) {
+    return { subject: IMPERSONATE_SUBJECT };
+  }
   try {
-    const token = await fs.readFile(TOKEN_PATH);
-    oAuth2Client.setCredentials(JSON.parse(token));
-    return oAuth2Client;
-  } catch (err) {
-    console.log('Token not found or invalid. Generating new token...');
-    return await getNewToken(oAuth2Client, TOKEN_PATH);
+    return JSON.parse(await fs.readFile(settingsPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Error reading ${settingsPath}: ${error.message}`);
   }
 }
 
 /**
- * Get new OAuth2 token
+ * Create an OAuth2 client from an `installed` or `web` client definition
  */
-async function getNewToken(oAuth2Client, tokenPath) {
-  const SCOPES = [
-    'https://www.googleapis.com/auth/spreadsheets',
-    'https://www.googleapis.com/auth/script.projects',
-    'https://www.googleapis.com/auth/script.scriptapp',
-    'https://www.googleapis.com/auth/drive'
-  ];
+function createOAuthClient(credentials, redirectUri) {
+  const client = credentials.installed || credentials.web;
+  if (!client) {
+    throw new Error('Credentials are neither a service account key nor an OAuth client (installed/web)');
+  }
+  return new google.auth.OAuth2(client.client_id, client.client_secret, redirectUri || (client.redirect_uris || [])[0]);
+}
 
-  const authUrl = oAuth2Client.generateAuthUrl({
-    access_type: 'offline',
-    scope: SCOPES,
-  });
-  console.log('Authorize this app by visiting this URL:', authUrl);
+/**
+ * Persist a token, keeping the stored refresh token when Google does not send a new one
+ */
+async function saveToken(tokenPath, token) {
+  let stored = {};
+  try {
+    stored = JSON.parse(await fs.readFile(tokenPath, 'utf8'));
+  } catch (error) {
+    // No usable token yet
+  }
+  await fs.mkdir(path.dirname(tokenPath), { recursive: true });
+  await fs.writeFile(tokenPath, JSON.stringify({ ...stored, ...token }), { mode: 0o600 });
+}
 
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
+/**
+ * Authorize with Google as a credential profile. A service account key is used directly
+ * (impersonating the profile's subject through domain-wide delegation when set); an OAuth
+ * client uses the token stored by the /auth/start flow and persists every refreshed token
+ * to its own profile. Never prompts.
+ */
+async function authorize(profile = DEFAULT_PROFILE) {
+  const { name, tokenPath } = getProfilePaths(profile);
+  const credentials = await loadCredentials(profile);
 
-  return new Promise((resolve, reject) => {
-    rl.question('Enter the code from that page here: ', (code) => {
-      rl.close();
-      oAuth2Client.getToken(code, async (err, token) => {
-        if (err) {
-          reject(new Error('Error retrieving access token: ' + err.message));
-          return;
-        }
-        oAuth2Client.setCredentials(token);
-        try {
-          await fs.writeFile(tokenPath, JSON.stringify(token));
-          console.log('Token stored to', tokenPath);
-          resolve(oAuth2Client);
-        } catch (writeErr) {
-          reject(new Error('Error saving token: ' + writeErr.message));
-        }
-      });
+  if (credentials.type === 'service_account') {
+    const { subject } = await loadProfileSettings(profile);
+    return new google.auth.JWT({
+      email: credentials.client_email,
+      key: credentials.private_key,
+      scopes: GOOGLE_SCOPES,
+      subject: subject || undefined
     });
+  }
+
+  const oAuth2Client = createOAuthClient(credentials);
+  let token;
+  try {
+    token = JSON.parse(await fs.readFile(tokenPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`No stored token for profile "${name}". Authorize through GET /auth/start${name === DEFAULT_PROFILE ? '' : `?profile=${name}`} first`);
+  }
+
+  oAuth2Client.setCredentials(token);
+  oAuth2Client.on('tokens', (tokens) => {
+    saveToken(tokenPath, tokens)
+      .then(() => logger.info(`Refreshed token of profile "${name}" stored to ${tokenPath}`))
+      .catch(error => logger.error(`Could not store refreshed token of profile "${name}": ${error.message}`));
   });
+  return oAuth2Client;
+}
+
+/**
+ * Authorize each credential profile at most once per request. The returned function resolves
+ * a profile name (falling back to `defaultProfile`) to its client.
+ */
+function createAuthPool(defaultProfile) {
+  const clients = new Map();
+  return (profile) => {
+    const name = profile || defaultProfile || DEFAULT_PROFILE;
+    if (!clients.has(name)) {
+      clients.set(name, authorize(name));
+    }
+    return clients.get(name);
+  };
 }
 
 /**
@@ -120,11 +325,102 @@ function extractSpreadsheetId(input) {
 }
 
 /**
- * Read spreadsheet IDs, script IDs, button image IDs and coordinates from master sheet
+ * Convert a column letter (A, D, AA) into a zero-based index
  */
-async function readScriptIds(auth, sourceSpreadsheetId) {
+function columnLetterToIndex(letter) {
+  return letter.toUpperCase().split('').reduce((index, char) => index * 26 + (char.charCodeAt(0) - 64), 0) - 1;
+}
+
+/**
+ * Convert a zero-based column index into its letter (3 -> D)
+ */
+function columnIndexToLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Quote a sheet name for use in an A1 range (e.g. 'TVDE Users'!A1)
+ */
+function quoteSheetName(name) {
+  return `'${name.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Validate request overrides for master sheet columns: { sheetId: "Header" | { header } | { column: "D" } }
+ */
+function normalizeColumnOverrides(columns) {
+  if (columns === undefined || columns === null) {
+    return {};
+  }
+  if (typeof columns !== 'object' || Array.isArray(columns)) {
+    throw new Error('columns must map column names to a header or { header } / { column }');
+  }
+
+  const overrides = {};
+  Object.entries(columns).forEach(([key, spec]) => {
+    if (!MASTER_SHEET_SCHEMA[key]) {
+      throw new Error(`columns.${key}: unknown column (expected one of ${Object.keys(MASTER_SHEET_SCHEMA).join(', ')})`);
+    }
+    if (typeof spec === 'string' && spec.trim()) {
+      overrides[key] = { header: spec.trim() };
+    } else if (spec && typeof spec.header === 'string' && spec.header.trim()) {
+      overrides[key] = { header: spec.header.trim() };
+    } else if (spec && typeof spec.column === 'string' && /^[A-Za-z]{1,3}$/.test(spec.column.trim())) {
+      overrides[key] = { column: spec.column.trim().toUpperCase() };
+    } else {
+      throw new Error(`columns.${key}: expected a header name, { header: string } or { column: "A".."ZZZ" }`);
+    }
+  });
+  return overrides;
+}
+
+/**
+ * Find the index of every schema column in the master sheet.
+ * Request overrides win over env settings; a column letter wins over a header name.
+ */
+function resolveMasterSheetColumns(headers, overrides = {}) {
+  const columns = {};
+  const missing = [];
+
+  Object.entries(MASTER_SHEET_SCHEMA).forEach(([key, schema]) => {
+    const spec = overrides[key] || (schema.column ? { column: schema.column } : { header: schema.header });
+
+    if (spec.column) {
+      columns[key] = columnLetterToIndex(spec.column);
+      return;
+    }
+
+    const index = headers.findIndex(h => h.toLowerCase() === spec.header.toLowerCase());
+    if (index !== -1) {
+      columns[key] = index;
+    } else if (schema.required) {
+      missing.push(spec.header);
+    } else {
+      columns[key] = null;
+      if (!schema.status && !['buttonFunctions', 'buttonStyles'].includes(key)) {
+        logger.warn(`Optional column "${spec.header}" not found in sheet ${SHEET_NAME}`);
+      }
+    }
+  });
+
+  if (missing.length > 0) {
+    throw new Error(`Missing header(s) in sheet "${SHEET_NAME}": ${missing.map(h => `"${h}"`).join(', ')}. Found: ${headers.filter(h => h).map(h => `"${h}"`).join(', ') || 'no header row'}`);
+  }
+  return columns;
+}
+
+/**
+ * Read spreadsheet IDs, script IDs, button image IDs and coordinates from master sheet.
+ * Each entry also carries its row number, the raw cells, the values keyed by header
+ * and the unmapped columns as metadata, so rows can be filtered on any column.
+ */
+async function readScriptIds(auth, sourceSpreadsheetId, columnOverrides = {}) {
   try {
-    console.log(`Reading data from ${sourceSpreadsheetId}, sheet ${SHEET_NAME}`);
+    logger.info(`Reading data from ${sourceSpreadsheetId}, sheet ${SHEET_NAME}`);
     
     const sheetMetadata = await sheets.spreadsheets.get({
       auth,
@@ -137,21 +433,30 @@ async function readScriptIds(auth, sourceSpreadsheetId) {
       throw new Error(`Sheet "${SHEET_NAME}" not found. Available: ${sheetNames.join(', ')}`);
     }
 
-    const range = `${SHEET_NAME}!${SHEET_ID_COLUMN}${START_ROW}:${BUTTON_COORDINATES_COLUMN}`;
+    // Read the whole tab so every column, and the header row above START_ROW, is available
     const response = await sheets.spreadsheets.values.get({
       auth,
       spreadsheetId: sourceSpreadsheetId,
-      range,
+      range: quoteSheetName(SHEET_NAME),
     });
 
-    const rows = response.data.values || [];
+    const values = response.data.values || [];
+    const headers = START_ROW > 1 ? (values[START_ROW - 2] || []).map(h => String(h).trim()) : [];
+    const rows = values.slice(START_ROW - 1);
     const scriptIdMap = new Map();
+
+    const columns = resolveMasterSheetColumns(headers, columnOverrides);
+    const mappedColumns = new Set(Object.values(columns).filter(index => index !== null));
     
     rows.forEach((row, index) => {
-      const spreadsheetId = extractSpreadsheetId(row[0]);
-      const scriptId = row[1] ? row[1].trim() : null;
-      const buttonImageIds = row[2] ? row[2].split(',').map(id => id.trim()).filter(id => id) : [];
-      const coordinates = row[3] ? row[3].split(',').map(coord => coord.trim()).filter(coord => coord) : [];
+      const cell = (column) => column !== null && row[column] ? String(row[column]).trim() : '';
+      const spreadsheetId = extractSpreadsheetId(cell(columns.sheetId));
+      const scriptId = cell(columns.scriptId) || null;
+      const buttonImageIds = cell(columns.buttonImageIds).split(',').map(id => id.trim()).filter(id => id);
+      const coordinates = cell(columns.coordinates).split(',').map(coord => coord.trim()).filter(coord => coord);
+      const buttonFunctions = cell(columns.buttonFunctions) ? cell(columns.buttonFunctions).split(',').map(name => name.trim()) : [];
+      const buttonStyles = cell(columns.buttonStyles) ? cell(columns.buttonStyles).split(';').map(style => style.trim()) : [];
+      const profile = cell(columns.profile) || null;
       
       // Parse coordinates into pairs [col, row]
       const coordinatePairs = [];
@@ -165,591 +470,4233 @@ async function readScriptIds(auth, sourceSpreadsheetId) {
         }
       }
 
-      if (spreadsheetId && scriptId) {
+      const fields = {};
+      const metadata = {};
+      headers.forEach((header, column) => {
+        if (!header) return;
+        fields[header] = cell(column);
+        if (!mappedColumns.has(column)) metadata[header] = cell(column);
+      });
+
+      if (spreadsheetId) {
+        // Rows without a script ID are kept so the script can be discovered and written back
         scriptIdMap.set(spreadsheetId, { 
           scriptId,
           buttonImageIds,
-          coordinates: coordinatePairs
+          coordinates: coordinatePairs,
+          buttonFunctions,
+          buttonStyles,
+          profile,
+          rowNumber: index + START_ROW,
+          cells: row.map(value => String(value)),
+          fields,
+          metadata,
+          columns
         });
-        console.log(`Row ${index + START_ROW}: Spreadsheet ID ${spreadsheetId}, Script ID ${scriptId}, Buttons: ${buttonImageIds.length}, Coordinates: ${coordinatePairs.length}`);
-      } else {
-        console.warn(`Invalid row ${index + START_ROW}: Spreadsheet ID ${spreadsheetId || 'missing'}, Script ID ${scriptId || 'missing'}`);
+        if (scriptId) {
+          logger.debug(`Row ${index + START_ROW}: Spreadsheet ID ${spreadsheetId}, Script ID ${scriptId}, Buttons: ${buttonImageIds.length}, Coordinates: ${coordinatePairs.length}`);
+        } else {
+          logger.warn(`Row ${index + START_ROW}: Spreadsheet ID ${spreadsheetId} has no Script ID`);
+        }
+      } else if (scriptId) {
+        logger.warn(`Invalid row ${index + START_ROW}: Spreadsheet ID missing, Script ID ${scriptId}`);
       }
     });
 
     return scriptIdMap;
   } catch (error) {
-    throw new Error(`Error reading source spreadsheet: ${error.message}`);
+    throw new Error(`Error reading source spreadsheet: ${error.message}`, { cause: error });
   }
 }
 
 /**
- * Copy Code.gs to target script project (overwrites existing Code.gs)
+ * Validate a target filter: { rows: "2-40,55", where: { Column: value | [values] }, match: { Column: "regex" } }
  */
-async function copyFunction(auth, sourceScriptId, targetScriptId) {
-  try {
-    console.log(`Copying Code.gs from ${sourceScriptId} to ${targetScriptId}`);
+function normalizeTargetFilter(filter) {
+  if (filter === undefined || filter === null) {
+    return null;
+  }
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('filter must be an object with rows, where and/or match');
+  }
 
-    // Get source script content
-    const sourceContent = await script.projects.getContent({ auth, scriptId: sourceScriptId });
-    const sourceFiles = sourceContent.data.files || [];
-    const sourceFunctionFile = sourceFiles.find(f => f.name === 'Code' && f.type === 'SERVER_JS');
+  const normalized = { rows: null, where: [], match: [] };
 
-    if (!sourceFunctionFile) {
-      throw new Error('No Code.gs file found in source script project');
-    }
+  if (filter.rows !== undefined) {
+    const parts = Array.isArray(filter.rows) ? filter.rows.map(String) : String(filter.rows).split(',');
+    normalized.rows = parts.map(part => {
+      const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+      if (!match) {
+        throw new Error(`filter.rows: invalid row range "${part.trim()}" (expected e.g. "2-40,55")`);
+      }
+      const from = parseInt(match[1]);
+      const to = match[2] ? parseInt(match[2]) : from;
+      if (to < from) {
+        throw new Error(`filter.rows: range "${part.trim()}" ends before it starts`);
+      }
+      return [from, to];
+    });
+  }
 
-    // Get target script content
-    let targetContent = { data: { files: [] } };
-    try {
-      targetContent = await script.projects.getContent({ auth, scriptId: targetScriptId });
-    } catch (error) {
-      console.log(`No existing content for ${targetScriptId}. Initializing empty project.`);
+  if (filter.where !== undefined) {
+    if (typeof filter.where !== 'object' || Array.isArray(filter.where)) {
+      throw new Error('filter.where must map column names to a value or a list of values');
     }
-
-    let targetFiles = targetContent.data.files || [];
-    
-    // Remove existing Code.gs if it exists
-    targetFiles = targetFiles.filter(f => f.name !== 'Code');
-    
-    // Add Code.gs (this will overwrite the existing Code.gs)
-    targetFiles.push({
-      name: 'Code',
-      type: 'SERVER_JS',
-      source: sourceFunctionFile.source
+    Object.entries(filter.where).forEach(([column, expected]) => {
+      const accepted = (Array.isArray(expected) ? expected : [expected]).map(v => String(v).trim().toLowerCase());
+      normalized.where.push({ column, accepted });
     });
+  }
 
-    // Update target script project
-    await script.projects.updateContent({
-      auth,
-      scriptId: targetScriptId,
-      requestBody: { files: targetFiles },
+  if (filter.match !== undefined) {
+    if (typeof filter.match !== 'object' || Array.isArray(filter.match)) {
+      throw new Error('filter.match must map column names to regular expressions');
+    }
+    Object.entries(filter.match).forEach(([column, pattern]) => {
+      try {
+        normalized.match.push({ column, regex: new RegExp(pattern, 'i') });
+      } catch (error) {
+        throw new Error(`filter.match.${column}: ${error.message}`);
+      }
     });
-
-    console.log(`Successfully overwrote Code.gs in ${targetScriptId}`);
-    return { scriptId: targetScriptId };
-  } catch (error) {
-    throw new Error(`Error copying function to ${targetScriptId}: ${error.message}`);
   }
+
+  return normalized;
 }
 
 /**
- * Validate script ID format and test access
+ * Get a master sheet cell by header name (case-insensitive) or column letter
  */
-async function validateAndTestScriptAccess(auth, scriptId) {
-  // Valid script IDs can be various lengths, including long ones
-  if (!scriptId || scriptId.length < 20) {
-    return { valid: false, error: 'Script ID too short' };
-  }
-  
-  const validPattern = /^[A-Za-z0-9_-]+$/;
-  if (!validPattern.test(scriptId)) {
-    return { valid: false, error: 'Script ID contains invalid characters' };
+function getMasterSheetValue(entry, column) {
+  const header = Object.keys(entry.fields || {}).find(h => h.toLowerCase() === column.trim().toLowerCase());
+  if (header !== undefined) {
+    return entry.fields[header];
   }
-  
-  // Try to access the script to verify it exists and we have permission
-  try {
-    console.log(`Testing access to script ${scriptId}...`);
-    const testContent = await script.projects.get({
-      auth,
-      scriptId: scriptId
-    });
-    console.log(`✓ Script found: ${testContent.data.title || 'Untitled'}`);
-    return { valid: true, title: testContent.data.title };
-  } catch (error) {
-    console.error(`✗ Cannot access script ${scriptId}`);
-    console.error(`  Error: ${error.message}`);
-    return { 
-      valid: false, 
-      error: error.message,
-      code: error.code,
-      details: error.errors 
-    };
+  if (/^[A-Za-z]{1,3}$/.test(column.trim())) {
+    const value = (entry.cells || [])[columnLetterToIndex(column.trim())];
+    return value === undefined ? '' : String(value).trim();
   }
+  return undefined;
 }
 
 /**
- * Copy buttons using image IDs and coordinates from master sheet
+ * Resolve the target spreadsheet IDs of a section: "all" selects every master sheet row,
+ * then the optional filter narrows the selection. Unknown filter columns are an error.
  */
-async function copyButtonsFromSheet(auth, masterSpreadsheetId, sourceSpreadsheetId, sourceSheetTab, targetSpreadsheetId, targetSheetTab, buttonScript) {
-  try {
-    console.log(`Copying buttons to ${targetSpreadsheetId}/${targetSheetTab}`);
+function selectTargets(scriptIdMap, targetSheets, filter) {
+  const targetIds = targetSheets === 'all'
+    ? [...scriptIdMap.keys()]
+    : targetSheets.map(extractSpreadsheetId);
 
-    // Get button data (image IDs and coordinates) from master sheet
-    const scriptIdMap = await readScriptIds(auth, masterSpreadsheetId);
-    const targetData = scriptIdMap.get(targetSpreadsheetId);
-    
-    if (!targetData || !targetData.scriptId) {
-      throw new Error(`No script ID found for target spreadsheet ${targetSpreadsheetId}`);
-    }
-    
-    // Validate and test script access
-    const targetScriptId = targetData.scriptId;
-    console.log(`Validating script ID: ${targetScriptId} (length: ${targetScriptId.length})`);
-    
-    const validation = await validateAndTestScriptAccess(auth, targetScriptId);
-    if (!validation.valid) {
-      console.error(`❌ Script validation failed!`);
-      console.error(`   Script ID: ${targetScriptId}`);
-      console.error(`   Error: ${validation.error}`);
-      console.error(`   Code: ${validation.code || 'N/A'}`);
-      
-      if (validation.code === 404 || validation.error.includes('not found')) {
-        console.error(`\n💡 The script project doesn't exist or isn't accessible. Solutions:`);
-        console.error(`   1. RECOMMENDED: Create a container-bound script:`);
-        console.error(`      • Open: https://docs.google.com/spreadsheets/d/${targetSpreadsheetId}/edit`);
-        console.error(`      • Go to: Extensions → Apps Script`);
-        console.error(`      • Copy the script ID from the URL`);
-        console.error(`      • Update column E in master sheet with this new ID`);
-        console.error(`   2. Check you're using the same Google account that owns the script`);
-        console.error(`   3. Verify the script still exists at:`);
-        console.error(`      https://script.google.com/home/projects/${targetScriptId}/edit`);
-      } else if (validation.code === 403 || validation.error.includes('PERMISSION')) {
-        console.error(`\n💡 Permission denied. Solutions:`);
-        console.error(`   1. Make sure you're logged into the correct Google account`);
-        console.error(`   2. Delete token.json and re-authenticate`);
-        console.error(`   3. Grant editor access to the script project`);
-      }
-      
-      throw new Error(`Cannot access script ${targetScriptId}: ${validation.error}`);
+  if (!filter) {
+    return targetIds;
+  }
+
+  const entries = [...scriptIdMap.values()];
+  [...filter.where, ...filter.match].forEach(({ column }) => {
+    if (entries.length > 0 && getMasterSheetValue(entries[0], column) === undefined) {
+      throw new Error(`Filter column "${column}" not found in master sheet`);
     }
-    
-    console.log(`✓ Script validated: "${validation.title}"`);
-    
-    if (!targetData.buttonImageIds || targetData.buttonImageIds.length === 0) {
-      throw new Error(`No button image IDs found for ${targetSpreadsheetId}`);
+  });
+
+  return targetIds.filter(spreadsheetId => {
+    const entry = scriptIdMap.get(spreadsheetId);
+    if (!entry) {
+      // Unknown targets are kept so they are reported as failures instead of silently dropped
+      return true;
     }
-    
-    if (!targetData.coordinates || targetData.coordinates.length === 0) {
-      throw new Error(`No coordinates found for ${targetSpreadsheetId}`);
+    if (filter.rows && !filter.rows.some(([from, to]) => entry.rowNumber >= from && entry.rowNumber <= to)) {
+      return false;
     }
-    
-    if (targetData.buttonImageIds.length !== targetData.coordinates.length) {
-      throw new Error(`Mismatch: ${targetData.buttonImageIds.length} button IDs but ${targetData.coordinates.length} coordinate pairs`);
+    if (!filter.where.every(({ column, accepted }) => accepted.includes((getMasterSheetValue(entry, column) || '').toLowerCase()))) {
+      return false;
     }
-    
-    const buttonImageIds = targetData.buttonImageIds;
-    const coordinates = targetData.coordinates;
-    
-    console.log(`Found ${buttonImageIds.length} button(s) to copy`);
-
-    // Create button data as JSON string for the script
-    const buttonData = JSON.stringify(buttonImageIds.map((id, i) => ({
-      imageId: id,
-      col: coordinates[i][0],
-      row: coordinates[i][1]
-    })));
-
-    // Create a script to insert buttons at specified positions
-    const tempScriptContent = `
-      function copyButtonsWithFunctions() {
-        Logger.clear();
-        Logger.log('=== Starting button insertion process ===');
-        
-        try {
-          Logger.log('Target Spreadsheet ID: ${targetSpreadsheetId}');
-          Logger.log('Target Sheet Tab: ${targetSheetTab}');
-          
-          Logger.log('Opening target spreadsheet...');
-          var targetSpreadsheet = SpreadsheetApp.openById('${targetSpreadsheetId}');
-          Logger.log('Target spreadsheet opened: ' + targetSpreadsheet.getName());
-          
-          Logger.log('Getting target sheet...');
-          var targetSheet = targetSpreadsheet.getSheetByName('${targetSheetTab}');
-          
-          if (!targetSheet) {
-            Logger.log('ERROR: Target sheet "${targetSheetTab}" not found!');
-            Logger.log('Available sheets: ' + targetSpreadsheet.getSheets().map(function(s) { return s.getName(); }).join(', '));
-            throw new Error('Target sheet "${targetSheetTab}" not found');
-          }
-          Logger.log('Target sheet found: ' + targetSheet.getName());
-          
-          // Button data from master sheet
-          var buttons = ${buttonData};
-          Logger.log('Found ' + buttons.length + ' button(s) to insert');
-          
-          var copiedCount = 0;
-          var buttonDetails = [];
-          
-          for (var i = 0; i < buttons.length; i++) {
-            Logger.log('\\n--- Processing button ' + (i + 1) + ' of ' + buttons.length + ' ---');
-            var button = buttons[i];
-            
-            try {
-              var imageId = button.imageId;
-              var col = button.col;
-              var row = button.row;
-              
-              Logger.log('Image ID: ' + imageId);
-              Logger.log('Position: Column ' + col + ', Row ' + row);
-              
-              // Create image URL from Drive ID
-              var imageUrl = 'https://drive.google.com/uc?id=' + imageId;
-              Logger.log('Image URL: ' + imageUrl);
-              
-              // Insert image into target sheet
-              Logger.log('Inserting image into target sheet...');
-              var newImage = targetSheet.insertImage(imageUrl, col, row);
-              Logger.log('Image inserted successfully!');
-              
-              ${buttonScript ? `
-              // Automatically assign script function to button
-              newImage.assignScript('${buttonScript}');
-              Logger.log('Assigned script function: ${buttonScript}');
-              ` : '// No script function assigned - manual assignment required'}
-              
-              copiedCount++;
-              buttonDetails.push({
-                position: col + ',' + row,
-                imageId: imageId
-              });
-              
-              Logger.log('Button ' + (i + 1) + ' inserted successfully!');
-            } catch (imageError) {
-              Logger.log('ERROR inserting button ' + (i + 1) + ': ' + imageError.toString());
-              buttonDetails.push({
-                position: col + ',' + row,
-                imageId: imageId,
-                error: imageError.toString()
-              });
-            }
-          }
-          
-          Logger.log('\\n=== Insertion complete ===');
-          Logger.log('Total buttons inserted: ' + copiedCount + ' out of ' + buttons.length);
-          
-          var resultMessage = copiedCount + ' button(s) inserted successfully. ';
-          ${buttonScript ? `
-          resultMessage += 'Script function "${buttonScript}" has been automatically assigned to all buttons.';
-          ` : `
-          resultMessage += 'IMPORTANT: You need to manually assign script functions to each button. ';
-          resultMessage += 'Right-click each button > Assign script > Enter function name (e.g., "calcularPagamentos").';
-          `}
-          
-          Logger.log(resultMessage);
-          
-          return { 
-            success: true, 
-            copiedCount: copiedCount,
-            buttons: buttonDetails,
-            message: resultMessage
-          };
-        } catch (e) {
-          Logger.log('\\n=== ERROR ===');
-          Logger.log('Error: ' + e.toString());
-          Logger.log('Stack: ' + e.stack);
-          return { 
-            success: false, 
-            error: e.toString(),
-            stack: e.stack
-          };
-        }
-      }
-    `;
+    return filter.match.every(({ column, regex }) => regex.test(getMasterSheetValue(entry, column) || ''));
+  });
+}
 
-    // Get existing script content for target
-    let existingContent = { data: { files: [] } };
-    try {
-      existingContent = await script.projects.getContent({ auth, scriptId: targetScriptId });
-    } catch (error) {
-      console.log(`No existing content for ${targetScriptId}. Initializing empty project.`);
-    }
+/**
+ * Find the HTTP status of a Google API error, following wrapped errors through `cause`
+ */
+function getErrorStatus(error) {
+  for (let current = error; current; current = current.cause) {
+    const status = current.response?.status || current.status || (typeof current.code === 'number' ? current.code : null);
+    if (status) return Number(status);
+  }
+  return null;
+}
 
-    let updatedFiles = existingContent.data.files || [];
-    
-    // Add temporary script
-    updatedFiles = updatedFiles.filter(f => f.name !== 'tempCopyButtons');
-    updatedFiles.push({
-      name: 'tempCopyButtons',
-      type: 'SERVER_JS',
-      source: tempScriptContent
-    });
+/**
+ * Quota (429, rate limit reasons) and transient (5xx, network) errors are worth retrying
+ */
+function isRetryableError(error) {
+  const transientCodes = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+  const rateLimitReasons = ['rateLimitExceeded', 'userRateLimitExceeded', 'quotaExceeded'];
 
-    // Update script project
-    await script.projects.updateContent({
-      auth,
-      scriptId: targetScriptId,
-      requestBody: { files: updatedFiles },
-    });
+  for (let current = error; current; current = current.cause) {
+    if (transientCodes.includes(current.code)) return true;
+    if ((current.errors || []).some(e => rateLimitReasons.includes(e.reason))) return true;
+  }
 
-    console.log(`Created tempCopyButtons in ${targetScriptId}`);
+  const status = getErrorStatus(error);
+  return status === 429 || (status >= 500 && status < 600);
+}
 
-    // Execute the script automatically with enhanced logging
-    let executionResult;
-    try {
-      console.log(`\n=== EXECUTING tempCopyButtons ===`);
-      console.log(`Target Script ID: ${targetScriptId}`);
-      console.log(`Function: copyButtonsWithFunctions`);
-      console.log(`Starting execution...`);
-      
-      const runResponse = await script.scripts.run({
-        auth,
-        scriptId: targetScriptId,
-        resource: { 
-          function: 'copyButtonsWithFunctions', 
-          parameters: [],
-          devMode: false
-        }
-      });
-      
-      // Check for execution errors
-      if (runResponse.data.error) {
-        const error = runResponse.data.error;
-        console.error(`\n❌ Execution Error:`);
-        console.error(`  Message: ${error.message}`);
-        console.error(`  Details: ${JSON.stringify(error.details, null, 2)}`);
-        throw new Error(`Execution failed: ${error.message}`);
-      }
-      
-      // Extract result
-      executionResult = runResponse.data.response?.result || { success: true };
-      
-      console.log(`\n✅ Execution completed successfully!`);
-      console.log(`  Buttons inserted: ${executionResult.copiedCount || 0}`);
-      console.log(`  Message: ${executionResult.message || 'No message'}`);
-      
-      if (executionResult.buttons) {
-        console.log(`  Button details:`);
-        executionResult.buttons.forEach((btn, idx) => {
-          console.log(`    ${idx + 1}. Position: ${btn.position}, Image: ${btn.imageId}${btn.error ? ` (ERROR: ${btn.error})` : ''}`);
-        });
-      }
-      
-      console.log(`\n📝 Keeping tempCopyButtons in ${targetScriptId} for reference`);
-      console.log(`   You can view execution logs at: https://script.google.com/d/${targetScriptId}/edit`);
-      
-    } catch (execError) {
-      console.error(`\n❌ Failed to execute copyButtonsWithFunctions:`);
-      console.error(`  Error: ${execError.message}`);
-      
-      // Check if it's an auth/permission error
-      if (execError.message.includes('PERMISSION_DENIED') || execError.message.includes('403')) {
-        console.error(`\n💡 This might be a permissions issue. Make sure:`);
-        console.error(`  1. Apps Script API is enabled: https://console.cloud.google.com/apis/library/script.googleapis.com`);
-        console.error(`  2. OAuth scope includes: https://www.googleapis.com/auth/script.scriptapp`);
-        console.error(`  3. Delete token.json and re-authenticate if you added new scopes`);
-      }
-      
-      throw execError;
-    }
-    
-    // NOT deleting the temporary script - keeping it for reference
-    console.log(`\n✓ Button copy operation completed`);
+/**
+ * Read the Retry-After header (seconds or HTTP date) from a Google API error, in milliseconds
+ */
+function getRetryAfterMs(error) {
+  for (let current = error; current; current = current.cause) {
+    const headers = current.response?.headers;
+    const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+    if (!value) continue;
 
-    return {
-      success: true,
-      scriptId: targetScriptId,
-      functionName: 'copyButtonsWithFunctions',
-      copiedCount: executionResult?.copiedCount || 0,
-      buttons: executionResult?.buttons || [],
-      message: executionResult?.message || 'Buttons copied successfully'
-    };
-  } catch (error) {
-    throw new Error(`Error copying buttons to ${targetSpreadsheetId}: ${error.message}`);
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) return Math.max(0, date - Date.now());
   }
+  return null;
 }
 
 /**
- * Helper function to get script ID for a spreadsheet by reading the master sheet
+ * Run a task, retrying quota and transient errors with exponential backoff and full jitter.
+ * Resolves to { value, attempts }; a final error carries the attempt count in `error.attempts`.
  */
-async function getScriptIdForSpreadsheet(auth, masterSpreadsheetId, targetSpreadsheetId) {
-  try {
-    const scriptIdMap = await readScriptIds(auth, masterSpreadsheetId);
-    const targetData = scriptIdMap.get(targetSpreadsheetId);
-    return targetData ? targetData.scriptId : null;
-  } catch (error) {
-    console.error(`Error getting script ID for ${targetSpreadsheetId}: ${error.message}`);
-    return null;
+async function withRetry(task, options = {}) {
+  const maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+  const label = options.label || 'task';
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const value = await task(attempt);
+      return { value, attempts: attempt };
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryableError(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const backoff = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+      const retryAfter = getRetryAfterMs(error);
+      const delay = retryAfter !== null ? Math.min(RETRY_MAX_DELAY_MS, retryAfter) : Math.round(Math.random() * backoff);
+
+      logger.warn(`${label}: attempt ${attempt} failed, retrying in ${delay}ms`, { attempt, status: getErrorStatus(error) || error.code || 'error', delayMs: delay });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
   }
 }
 
 /**
- * GET endpoint
+ * Run a worker over items with at most `limit` in flight; results keep the order of items
  */
-app.get('/', (req, res) => {
-  res.status(200).json({
-    message: 'API is running. Use POST to / to copy functions and/or buttons.',
-    note: 'Button image IDs and coordinates are read from master sheet columns F and G',
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Create a run ID (timestamp plus random suffix) used to group backups of one rollout
+ */
+function createRunId() {
+  return `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Save a snapshot of a target's script content before it is overwritten.
+ * Only the first snapshot of a script within a run is kept, so retries never replace the original.
+ */
+async function backupScriptContent(runId, scriptId, files, details = {}) {
+  const runDir = path.join(BACKUP_DIR, runId);
+  const backupPath = path.join(runDir, `${scriptId}.json`);
+  const snapshot = {
+    runId,
+    scriptId,
+    reason: details.reason || 'rollout',
+    profile: details.profile || DEFAULT_PROFILE,
+    createdAt: new Date().toISOString(),
+    files
+  };
+
+  await fs.mkdir(runDir, { recursive: true });
+  try {
+    await fs.writeFile(backupPath, JSON.stringify(snapshot, null, 2), { flag: 'wx' });
+    logger.info(`Backed up ${scriptId} (${files.length} files) to ${backupPath}`);
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw new Error(`Error backing up ${scriptId}: ${error.message}`);
+    }
+  }
+  return backupPath;
+}
+
+/**
+ * List available snapshots, optionally filtered by run ID and/or script ID (newest first)
+ */
+async function listBackups(filter = {}) {
+  let runIds;
+  try {
+    runIds = await fs.readdir(BACKUP_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const backups = [];
+  for (const runId of runIds) {
+    if (filter.runId && runId !== filter.runId) continue;
+
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(BACKUP_DIR, runId));
+    } catch (error) {
+      continue;
+    }
+
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) continue;
+      const scriptId = entry.slice(0, -'.json'.length);
+      if (filter.scriptId && scriptId !== filter.scriptId) continue;
+
+      try {
+        const snapshot = JSON.parse(await fs.readFile(path.join(BACKUP_DIR, runId, entry), 'utf8'));
+        backups.push({
+          runId,
+          scriptId,
+          reason: snapshot.reason,
+          profile: snapshot.profile || DEFAULT_PROFILE,
+          createdAt: snapshot.createdAt,
+          fileCount: (snapshot.files || []).length
+        });
+      } catch (error) {
+        logger.warn(`Skipping unreadable backup ${runId}/${entry}: ${error.message}`);
+      }
+    }
+  }
+
+  return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Load a snapshot; without a run ID, the newest rollout snapshot of the script is used
+ */
+async function loadBackup(scriptId, runId) {
+  if (!runId) {
+    const candidates = (await listBackups({ scriptId })).filter(b => !['rollback', 'cleanup'].includes(b.reason));
+    if (candidates.length === 0) {
+      throw new Error(`No backups found for script ${scriptId}`);
+    }
+    runId = candidates[0].runId;
+  }
+
+  try {
+    const content = await fs.readFile(path.join(BACKUP_DIR, runId, `${scriptId}.json`), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No backup of script ${scriptId} in run ${runId}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Restore a target's script content from a snapshot, backing up its current content first.
+ * `getAuth` resolves the credential profile recorded in the snapshot.
+ */
+async function restoreBackup(getAuth, scriptId, sourceRunId, rollbackRunId) {
+  try {
+    const snapshot = await loadBackup(scriptId, sourceRunId);
+    if (!snapshot.files || snapshot.files.length === 0) {
+      throw new Error(`Backup from run ${snapshot.runId} is empty (the project had no content)`);
+    }
+
+    const profile = snapshot.profile || DEFAULT_PROFILE;
+    const auth = await getAuth(profile);
+    const currentContent = await script.projects.getContent({ auth, scriptId });
+    await backupScriptContent(rollbackRunId, scriptId, currentContent.data.files || [], { reason: 'rollback', profile });
+
+    await script.projects.updateContent({
+      auth,
+      scriptId,
+      requestBody: {
+        files: snapshot.files.map(f => ({ name: f.name, type: f.type, source: f.source }))
+      },
+    });
+
+    logger.info(`Restored ${scriptId} from run ${snapshot.runId} (${snapshot.createdAt})`);
+    return {
+      scriptId,
+      profile,
+      restoredFrom: snapshot.runId,
+      snapshotCreatedAt: snapshot.createdAt,
+      fileCount: snapshot.files.length,
+      fileHashes: hashSyncedFiles(snapshot.files)
+    };
+  } catch (error) {
+    throw new Error(`Error restoring ${scriptId}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Remove injected helper files from a target project, leaving every other file untouched.
+ * The project is backed up first; resolves to the names of the removed files.
+ */
+async function removeHelperFiles(auth, scriptId, options = {}) {
+  const names = options.names || HELPER_FILE_NAMES;
+  const content = await script.projects.getContent({ auth, scriptId });
+  const files = content.data.files || [];
+  const remaining = files.filter(f => !names.includes(f.name));
+  const removed = files.filter(f => names.includes(f.name)).map(f => f.name);
+
+  if (removed.length === 0) {
+    return removed;
+  }
+
+  if (options.runId) {
+    await backupScriptContent(options.runId, scriptId, files, { reason: 'cleanup', profile: options.profile });
+  }
+
+  await script.projects.updateContent({
+    auth,
+    scriptId,
+    requestBody: {
+      files: remaining.map(f => ({ name: f.name, type: f.type, source: f.source }))
+    },
+  });
+
+  logger.info(`Removed ${removed.join(', ')} from ${scriptId}`);
+  return removed;
+}
+
+/**
+ * Find the container-bound script of a spreadsheet, or create one.
+ * Drive only lists some bound projects, so each candidate is confirmed through its parentId.
+ */
+async function discoverScriptId(auth, spreadsheetId, options = {}) {
+  try {
+    // The ID comes from a master sheet cell and goes into a Drive query string
+    if (!SAFE_ID_PATTERN.test(spreadsheetId)) {
+      throw new Error(`Spreadsheet ID "${spreadsheetId}" is not a valid ID`);
+    }
+    const candidates = await drive.files.list({
+      auth,
+      q: `mimeType='application/vnd.google-apps.script' and '${spreadsheetId}' in parents and trashed=false`,
+      fields: 'files(id,name)',
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true
+    });
+
+    for (const file of candidates.data.files || []) {
+      const project = await script.projects.get({ auth, scriptId: file.id });
+      if (project.data.parentId === spreadsheetId) {
+        logger.info(`Found bound script ${file.id} for ${spreadsheetId} through Drive`);
+        return { scriptId: file.id, source: 'drive' };
+      }
+    }
+
+    if (!options.create) {
+      throw new Error('No bound script found through Drive metadata');
+    }
+
+    const spreadsheet = await sheets.spreadsheets.get({
+      auth,
+      spreadsheetId,
+      fields: 'properties.title'
+    });
+    const created = await script.projects.create({
+      auth,
+      requestBody: {
+        title: `${spreadsheet.data.properties.title} Script`,
+        parentId: spreadsheetId
+      }
+    });
+    logger.info(`Created bound script ${created.data.scriptId} for ${spreadsheetId}`);
+    return { scriptId: created.data.scriptId, source: 'created' };
+  } catch (error) {
+    throw new Error(`Error discovering script for ${spreadsheetId}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Write discovered script IDs into the Script ID column of the master sheet in one batch
+ */
+async function writeBackScriptIds(auth, masterSpreadsheetId, updates) {
+  await sheets.spreadsheets.values.batchUpdate({
+    auth,
+    spreadsheetId: masterSpreadsheetId,
+    requestBody: {
+      valueInputOption: 'RAW',
+      data: updates.map(({ entry, scriptId }) => ({
+        range: `${quoteSheetName(SHEET_NAME)}!${columnIndexToLetter(entry.columns.scriptId)}${entry.rowNumber}`,
+        values: [[scriptId]]
+      }))
+    }
+  });
+
+  logger.info(`Wrote ${updates.length} script ID(s) back to master sheet ${masterSpreadsheetId}`);
+  return updates.length;
+}
+
+/**
+ * Write each target's rollout status into the master sheet status columns in one batch.
+ * `statuses` maps spreadsheet ID to { functionSync, codeVersion, buttonSync, errors }.
+ */
+async function writeRolloutStatus(auth, masterSpreadsheetId, masterSheet, statuses) {
+  const data = [];
+  let rows = 0;
+  const cellRange = (entry, key) => `${quoteSheetName(SHEET_NAME)}!${columnIndexToLetter(entry.columns[key])}${entry.rowNumber}`;
+
+  statuses.forEach((status, spreadsheetId) => {
+    const entry = masterSheet.get(spreadsheetId);
+    if (!entry) return;
+    rows++;
+
+    const values = {
+      lastFunctionSync: status.functionSync,
+      codeVersion: status.codeVersion,
+      lastButtonSync: status.buttonSync,
+      lastError: status.errors.join(' | ')
+    };
+    Object.entries(values).forEach(([key, value]) => {
+      if (value !== undefined && entry.columns[key] !== null && entry.columns[key] !== undefined) {
+        data.push({ range: cellRange(entry, key), values: [[value]] });
+      }
+    });
+  });
+
+  if (data.length === 0) {
+    return { rows: 0, cells: 0 };
+  }
+
+  await sheets.spreadsheets.values.batchUpdate({
+    auth,
+    spreadsheetId: masterSpreadsheetId,
+    requestBody: { valueInputOption: 'RAW', data }
+  });
+
+  invalidateMasterSheetCache(masterSpreadsheetId);
+  logger.info(`Wrote rollout status for ${rows} row(s) to master sheet ${masterSpreadsheetId}`);
+  return { rows, cells: data.length };
+}
+
+/**
+ * Resolve script IDs for selected targets whose master sheet row has none.
+ * Found IDs are set on the snapshot entries (so later phases see them) and written back,
+ * unless `options.writeBack` is false. Drive is searched as `options.authFor(spreadsheetId)` when given.
+ * Returns a map of spreadsheet ID to { scriptId, source } or { error }.
+ */
+async function discoverMissingScripts(auth, masterSpreadsheetId, masterSheet, targetIds, options = {}) {
+  const missing = targetIds.filter(id => masterSheet.has(id) && !masterSheet.get(id).scriptId);
+  const discoveries = new Map();
+  if (missing.length === 0) {
+    return discoveries;
+  }
+
+  logger.info(`Discovering scripts for ${missing.length} target(s) without a Script ID`);
+  await runWithConcurrency(missing, options.concurrency || CONCURRENCY, (spreadsheetId) => withLogContext({ targetId: spreadsheetId }, async () => {
+    try {
+      const targetAuth = options.authFor ? await options.authFor(spreadsheetId) : auth;
+      const { value } = await withRetry(() => discoverScriptId(targetAuth, spreadsheetId, options), { label: `discover ${spreadsheetId}` });
+      discoveries.set(spreadsheetId, value);
+    } catch (error) {
+      discoveries.set(spreadsheetId, { error: error.message });
+    }
+  }));
+
+  const updates = [];
+  discoveries.forEach((discovery, spreadsheetId) => {
+    if (discovery.scriptId) {
+      const entry = masterSheet.get(spreadsheetId);
+      entry.scriptId = discovery.scriptId;
+      updates.push({ spreadsheetId, entry, scriptId: discovery.scriptId });
+    }
+  });
+
+  if (options.writeBack !== false && updates.length > 0) {
+    try {
+      await writeBackScriptIds(auth, masterSpreadsheetId, updates);
+      updates.forEach(({ spreadsheetId }) => { discoveries.get(spreadsheetId).writtenBack = true; });
+    } catch (error) {
+      logger.error(`Failed to write script IDs back to master sheet: ${error.message}`);
+      updates.forEach(({ spreadsheetId }) => { discoveries.get(spreadsheetId).writeBackError = error.message; });
+    }
+  }
+
+  // The snapshot entries were changed in place, so a cached copy no longer matches the sheet
+  if (updates.length > 0) {
+    invalidateMasterSheetCache(masterSpreadsheetId);
+  }
+
+  return discoveries;
+}
+
+/**
+ * Get a snapshot of the master sheet, served from the cache while it is fresh.
+ * Pass { refresh: true } to bypass the cache and store a new snapshot.
+ */
+async function loadMasterSheet(auth, masterSpreadsheetId, options = {}) {
+  const columns = options.columns || {};
+  const cacheKey = `${masterSpreadsheetId}|${JSON.stringify(columns)}`;
+  const cached = masterSheetCache.get(cacheKey);
+  if (MASTER_SHEET_CACHE_TTL_MS > 0 && cached && !options.refresh && Date.now() - cached.loadedAt < MASTER_SHEET_CACHE_TTL_MS) {
+    logger.info(`Using cached master sheet ${masterSpreadsheetId} (${Math.round((Date.now() - cached.loadedAt) / 1000)}s old)`);
+    return cached.scriptIdMap;
+  }
+
+  const scriptIdMap = await readScriptIds(auth, masterSpreadsheetId, columns);
+  if (MASTER_SHEET_CACHE_TTL_MS > 0) {
+    masterSheetCache.set(cacheKey, { loadedAt: Date.now(), scriptIdMap });
+  }
+  return scriptIdMap;
+}
+
+/**
+ * Drop the cached snapshot of one master sheet, or of all of them. Returns the number dropped.
+ */
+function invalidateMasterSheetCache(masterSpreadsheetId) {
+  if (masterSpreadsheetId) {
+    const keys = [...masterSheetCache.keys()].filter(key => key.startsWith(`${masterSpreadsheetId}|`));
+    keys.forEach(key => masterSheetCache.delete(key));
+    return keys.length;
+  }
+  const count = masterSheetCache.size;
+  masterSheetCache.clear();
+  return count;
+}
+
+/**
+ * Get the file name as shown in the Apps Script editor (e.g. Code.gs, Sidebar.html)
+ */
+function getFileDisplayName(file) {
+  const extensions = { SERVER_JS: '.gs', HTML: '.html', JSON: '.json' };
+  return file.name + (extensions[file.type] || '');
+}
+
+/**
+ * Convert a glob-style pattern (*, **, ?) into a regular expression
+ */
+function globToRegExp(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      regex += '.*';
+      i++;
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Check a script file against a pattern, by bare name (Code) or display name (Code.gs)
+ */
+function matchesFilePattern(file, pattern) {
+  const regex = globToRegExp(pattern);
+  return regex.test(file.name) || regex.test(getFileDisplayName(file));
+}
+
+/**
+ * Validate the copyFunctions file selection: "all", a list of names, or { include, exclude } patterns
+ */
+function normalizeFileSelection(selection) {
+  if (selection === undefined || selection === null || selection === 'all') {
+    return { mode: 'all' };
+  }
+
+  const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+  if (Array.isArray(selection)) {
+    if (selection.length === 0 || !isStringList(selection)) {
+      throw new Error('files must be "all", a non-empty list of file names, or { include, exclude } patterns');
+    }
+    return { mode: 'names', names: selection.map(name => name.trim()) };
+  }
+
+  if (typeof selection === 'object') {
+    const include = selection.include === undefined ? ['**'] : selection.include;
+    const exclude = selection.exclude === undefined ? [] : selection.exclude;
+    if (!isStringList(include) || include.length === 0 || !isStringList(exclude)) {
+      throw new Error('files.include and files.exclude must be lists of patterns');
+    }
+    return { mode: 'patterns', include, exclude };
+  }
+
+  throw new Error('files must be "all", a non-empty list of file names, or { include, exclude } patterns');
+}
+
+/**
+ * Pick the source files to copy according to a normalized file selection (manifest excluded)
+ */
+function selectSourceFiles(sourceFiles, selection) {
+  const candidates = sourceFiles.filter(f => f.name !== MANIFEST_FILE_NAME);
+
+  if (selection.mode === 'names') {
+    const missing = selection.names.filter(name =>
+      !candidates.some(f => f.name === name || getFileDisplayName(f) === name)
+    );
+    if (missing.length > 0) {
+      throw new Error(`Files not found in source script project: ${missing.join(', ')}`);
+    }
+    return candidates.filter(f => selection.names.includes(f.name) || selection.names.includes(getFileDisplayName(f)));
+  }
+
+  if (selection.mode === 'patterns') {
+    return candidates.filter(f =>
+      selection.include.some(pattern => matchesFilePattern(f, pattern)) &&
+      !selection.exclude.some(pattern => matchesFilePattern(f, pattern))
+    );
+  }
+
+  return candidates;
+}
+
+/**
+ * Hash a set of script files (order-independent) to identify the code that was pushed
+ */
+function hashScriptFiles(files) {
+  const hash = crypto.createHash('sha256');
+  [...files]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(f => hash.update(`${f.name}\0${f.type}\0${f.source || ''}\0`));
+  return hash.digest('hex');
+}
+
+/**
+ * Validate the copyFunctions source: { scriptId } or { directory } (relative to SOURCES_ROOT).
+ * Without one, the SOURCE_DIR directory is used when set, SOURCE_SCRIPT_ID otherwise.
+ */
+function normalizeSource(source) {
+  if (source === undefined || source === null) {
+    return SOURCE_DIR
+      ? { directory: SOURCE_DIR, path: path.resolve(SOURCE_DIR) }
+      : { scriptId: SOURCE_SCRIPT_ID };
+  }
+  if (typeof source !== 'object' || Array.isArray(source) ||
+      (source.scriptId === undefined) === (source.directory === undefined)) {
+    throw new Error('source must be { scriptId: string } or { directory: string }');
+  }
+
+  if (source.scriptId !== undefined) {
+    if (typeof source.scriptId !== 'string' || !SAFE_ID_PATTERN.test(source.scriptId)) {
+      throw new Error('source.scriptId must be a script ID (letters, digits, _ and -)');
+    }
+    return { scriptId: source.scriptId };
+  }
+
+  if (typeof source.directory !== 'string' || !source.directory.trim()) {
+    throw new Error('source.directory must be a directory name');
+  }
+  const resolved = path.resolve(SOURCES_ROOT, source.directory);
+  const relative = path.relative(SOURCES_ROOT, resolved);
+  if (!relative || relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+    throw new Error(`source.directory must be a directory inside ${SOURCES_ROOT}`);
+  }
+  return { directory: source.directory, path: resolved };
+}
+
+/**
+ * Read a clasp project's .clasp.json ({} when the directory has none)
+ */
+async function readClaspConfig(directory) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(directory, CLASP_CONFIG_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Invalid ${CLASP_CONFIG_FILE} in ${directory}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * List the script files under a clasp root directory as { name, type, file }: appsscript.json is the
+ * manifest, .gs/.js/.html files anywhere below it become files named by their relative path without
+ * extension (lib/util.js is "lib/util"). Dotfiles and node_modules are skipped.
+ */
+async function listScriptFilePaths(rootDir) {
+  const found = [];
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' && dir !== rootDir) return;
+      throw error;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+        continue;
+      }
+      if (!entry.isFile()) continue;
+
+      const file = path.relative(rootDir, fullPath).split(path.sep).join('/');
+      const extension = path.extname(entry.name);
+      if (file === `${MANIFEST_FILE_NAME}.json`) {
+        found.push({ name: MANIFEST_FILE_NAME, type: 'JSON', file });
+      } else if (SOURCE_FILE_TYPES[extension]) {
+        found.push({ name: file.slice(0, -extension.length), type: SOURCE_FILE_TYPES[extension], file });
+      }
+    }
+  };
+  await walk(rootDir);
+  return found;
+}
+
+/**
+ * Read a local directory laid out the way clasp lays it out (honouring rootDir in .clasp.json)
+ * into script project files
+ */
+async function readSourceDirectory(directory) {
+  try {
+    const config = await readClaspConfig(directory);
+    const rootDir = path.resolve(directory, config.rootDir || '.');
+    const found = await listScriptFilePaths(rootDir);
+
+    const files = [];
+    const seen = new Map();
+    for (const { name, type, file } of found) {
+      if (seen.has(name)) {
+        throw new Error(`${seen.get(name)} and ${file} both map to script file "${name}"`);
+      }
+      seen.set(name, file);
+      files.push({ name, type, source: await fs.readFile(path.join(rootDir, file), 'utf8') });
+    }
+    if (files.length === 0) {
+      throw new Error(`no ${MANIFEST_FILE_NAME}.json, .gs, .js or .html files found in ${rootDir}`);
+    }
+    return files.sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    throw new Error(`Error reading source directory ${directory}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Load the files of a normalized copyFunctions source (see normalizeSource)
+ */
+async function loadSourceFiles(auth, source) {
+  if (source.path) {
+    return readSourceDirectory(source.path);
+  }
+  const content = await script.projects.getContent({ auth, scriptId: source.scriptId });
+  return content.data.files || [];
+}
+
+/**
+ * Export a script project to a local directory in clasp's layout, so it can be kept in version
+ * control and used as a rollout source. Files keep the extension they already have there (new
+ * server files get .clasp.json's fileExtension, default .js) and the scriptId is recorded in
+ * .clasp.json. Nothing is deleted: script files in the directory that the project does not have
+ * are reported as `stale`, since the directory may hold unrelated code.
+ */
+async function exportScriptProject(auth, scriptId, directory) {
+  try {
+    const content = await script.projects.getContent({ auth, scriptId });
+    const files = content.data.files || [];
+
+    await fs.mkdir(directory, { recursive: true });
+    const config = await readClaspConfig(directory);
+    const rootDir = path.resolve(directory, config.rootDir || '.');
+    const existing = new Map((await listScriptFilePaths(rootDir).catch(() => [])).map(f => [`${f.type}:${f.name}`, f.file]));
+    const defaultExtension = config.fileExtension ? `.${config.fileExtension.replace(/^\./, '')}` : '.js';
+
+    const written = [];
+    for (const file of files) {
+      let relativePath = existing.get(`${file.type}:${file.name}`);
+      if (!relativePath) {
+        const extension = file.type === 'JSON' ? '.json' : file.type === 'HTML' ? '.html' : defaultExtension;
+        relativePath = `${file.name}${extension}`;
+      }
+      const fullPath = path.resolve(rootDir, relativePath);
+      if (path.relative(rootDir, fullPath).split(path.sep)[0] === '..') {
+        throw new Error(`file name "${file.name}" points outside ${rootDir}`);
+      }
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, file.source || '');
+      written.push(relativePath);
+    }
+
+    const stale = [...existing.values()].filter(relativePath => !written.includes(relativePath));
+
+    await fs.writeFile(path.join(directory, CLASP_CONFIG_FILE), JSON.stringify({ ...config, scriptId }, null, 2) + '\n');
+    return { scriptId, directory, files: written.sort(), stale: stale.sort(), contentHash: hashScriptFiles(files) };
+  } catch (error) {
+    throw new Error(`Error pulling ${scriptId} to ${directory}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Validate copyFunctions templating: `variables` maps placeholder names to master sheet columns
+ * (header or letter), `overrides` maps target spreadsheet IDs/URLs to { NAME: value }.
+ * Returns null when neither is set, so sources are copied verbatim.
+ */
+function normalizeTemplating(variables, overrides) {
+  if ((variables === undefined || variables === null) && (overrides === undefined || overrides === null)) {
+    return null;
+  }
+  const isMap = (value) => value !== undefined && value !== null && typeof value === 'object' && !Array.isArray(value);
+  const checkName = (name, where) => {
+    if (!TEMPLATE_VARIABLE_PATTERN.test(name)) {
+      throw new Error(`${where}: "${name}" is not a valid variable name (upper-case letters, digits and _)`);
+    }
+  };
+
+  const columns = {};
+  if (variables !== undefined && variables !== null) {
+    if (!isMap(variables)) {
+      throw new Error('variables must map placeholder names to master sheet columns');
+    }
+    Object.entries(variables).forEach(([name, column]) => {
+      checkName(name, 'variables');
+      if (typeof column !== 'string' || !column.trim()) {
+        throw new Error(`variables.${name} must be a master sheet column header or letter`);
+      }
+      columns[name] = column.trim();
+    });
+  }
+
+  const targetOverrides = new Map();
+  if (overrides !== undefined && overrides !== null) {
+    if (!isMap(overrides)) {
+      throw new Error('overrides must map spreadsheet IDs to { NAME: value }');
+    }
+    Object.entries(overrides).forEach(([target, values]) => {
+      if (!isMap(values)) {
+        throw new Error(`overrides.${target} must map variable names to values`);
+      }
+      const normalized = {};
+      Object.entries(values).forEach(([name, value]) => {
+        checkName(name, `overrides.${target}`);
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+          throw new Error(`overrides.${target}.${name} must be a string, number or boolean`);
+        }
+        normalized[name] = String(value);
+      });
+      targetOverrides.set(extractSpreadsheetId(target), normalized);
+    });
+  }
+
+  return { columns, overrides: targetOverrides };
+}
+
+/**
+ * The template values of one target: its master sheet cells for the configured columns (blank
+ * cells stay unresolved), with the request's overrides for that target on top
+ */
+function resolveTemplateValues(entry, spreadsheetId, templating) {
+  const values = {};
+  Object.entries(templating.columns).forEach(([name, column]) => {
+    const value = entry ? getMasterSheetValue(entry, column) : undefined;
+    if (value !== undefined && value !== '') {
+      values[name] = value;
+    }
+  });
+  return Object.assign(values, templating.overrides.get(spreadsheetId) || {});
+}
+
+/**
+ * Substitute {{NAME}} placeholders in script files ({{NAME|json}} inserts the value as a JSON
+ * string literal). Returns the rendered files, the values used and every unresolved placeholder.
+ */
+function renderTemplateFiles(files, values) {
+  const used = {};
+  const unresolved = [];
+  const rendered = files.map(file => ({
+    ...file,
+    source: (file.source || '').replace(PLACEHOLDER_PATTERN, (placeholder, name, filter) => {
+      if (!Object.prototype.hasOwnProperty.call(values, name)) {
+        unresolved.push(`${placeholder} in ${getFileDisplayName(file)}`);
+        return placeholder;
+      }
+      used[name] = values[name];
+      return filter === 'json' ? JSON.stringify(values[name]) : values[name];
+    })
+  }));
+  return { files: rendered, used, unresolved };
+}
+
+/**
+ * Split a file into synced lines and protected regions. A region runs from the line holding
+ * `appsscript-copier:begin-protected NAME` to the one holding `appsscript-copier:end-protected NAME`,
+ * in any comment syntax; the marker lines are synced, the lines between them belong to the target.
+ * Returns { parts, regions } (parts are lines or { region } slots) or { error } for unbalanced markers.
+ */
+function parseProtectedRegions(source) {
+  const parts = [];
+  const regions = new Map();
+  let open = null;
+
+  const lines = source.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const begin = lines[i].match(PROTECTED_BEGIN_PATTERN);
+    const end = lines[i].match(PROTECTED_END_PATTERN);
+    if (open) {
+      if (end && end[1] === open && !begin) {
+        parts.push(lines[i]);
+        open = null;
+      } else if (begin || end) {
+        return { error: `line ${i + 1}: expected the end of protected region "${open}"` };
+      } else {
+        regions.get(open).push(lines[i]);
+      }
+    } else if (begin && !end) {
+      if (regions.has(begin[1])) {
+        return { error: `line ${i + 1}: protected region "${begin[1]}" appears twice` };
+      }
+      parts.push(lines[i], { region: begin[1] });
+      regions.set(begin[1], []);
+      open = begin[1];
+    } else if (begin || end) {
+      return { error: `line ${i + 1}: protected region marker without a matching begin` };
+    } else {
+      parts.push(lines[i]);
+    }
+  }
+  if (open) {
+    return { error: `protected region "${open}" is never closed` };
+  }
+  return { parts, regions };
+}
+
+/**
+ * Hash the synced part of a file: everything except the bodies of its protected regions
+ * (the whole file when its markers are unbalanced)
+ */
+function hashSyncedSource(source) {
+  const parsed = parseProtectedRegions(source || '');
+  const synced = parsed.error ? source || '' : parsed.parts.filter(part => typeof part === 'string').join('\n');
+  return crypto.createHash('sha256').update(synced).digest('hex');
+}
+
+/**
+ * The synced-part hash of each file, keyed by display name
+ */
+function hashSyncedFiles(files) {
+  const hashes = {};
+  files.forEach(f => {
+    hashes[getFileDisplayName(f)] = hashSyncedSource(f.source);
+  });
+  return hashes;
+}
+
+/**
+ * Merge one source file into the target's copy, keeping the target's protected region bodies.
+ * Returns { source, preserved } or { conflict } when the target's synced code differs from the source
+ * and either was edited since `baselineHash` (the hash last pushed) or there is no baseline to tell,
+ * when its markers are unbalanced, or when it has a region the source lacks. `force` overwrites
+ * edited synced code but still keeps the regions.
+ */
+function mergeProtectedRegions(sourceFile, targetFile, baselineHash, force = false) {
+  const name = getFileDisplayName(sourceFile);
+  const source = parseProtectedRegions(sourceFile.source || '');
+  if (source.error) {
+    throw new Error(`Source ${name}: ${source.error}`);
+  }
+  const target = parseProtectedRegions(targetFile.source || '');
+  if (target.error) {
+    return { conflict: `protected region markers are unbalanced (${target.error})` };
+  }
+
+  const currentHash = hashSyncedSource(targetFile.source);
+  if (!force && currentHash !== hashSyncedSource(sourceFile.source)) {
+    if (!baselineHash) {
+      return { conflict: 'synced code differs from the source and no earlier sync is recorded to tell whether it was edited (set force to overwrite)' };
+    }
+    if (currentHash !== baselineHash) {
+      return { conflict: 'synced code was edited in the target since the last sync' };
+    }
+  }
+  const missing = [...target.regions.keys()].filter(region => !source.regions.has(region));
+  if (missing.length > 0) {
+    return { conflict: `protected region(s) ${missing.join(', ')} no longer exist in the source` };
+  }
+
+  const lines = [];
+  source.parts.forEach(part => {
+    if (typeof part === 'string') {
+      lines.push(part);
+    } else {
+      lines.push(...(target.regions.get(part.region) || source.regions.get(part.region)));
+    }
+  });
+  return { source: lines.join('\n'), preserved: [...target.regions.keys()] };
+}
+
+/**
+ * The synced-code hashes last written to each script project, from the run history:
+ * scriptId -> { file: hash } of its newest successful copyFunctions push or rollback
+ */
+async function loadSyncBaselines() {
+  const baselines = new Map();
+  (await readRunHistory()).reverse().forEach(run => {
+    (run.targets || []).forEach(target => {
+      if (target.scriptId && target.fileHashes && target.status === 'success' && !baselines.has(target.scriptId)) {
+        baselines.set(target.scriptId, target.fileHashes);
+      }
+    });
+  });
+  return baselines;
+}
+
+/**
+ * Work out the target's new file set and what happens to each file
+ */
+function planFunctionCopy(sourceFiles, targetFiles, options = {}) {
+  const selection = options.files || { mode: 'all' };
+  const manifestMode = options.manifest || 'keep';
+  const selectedFiles = selectSourceFiles(sourceFiles, selection);
+
+  if (selectedFiles.length === 0) {
+    throw new Error('No files in source script project match the file selection');
+  }
+
+  const report = { added: [], replaced: [], kept: [] };
+  const changes = [];
+  let filesToWrite = [...selectedFiles];
+
+  // The manifest is never part of the selection; it is kept or replaced explicitly
+  const sourceManifest = sourceFiles.find(f => f.name === MANIFEST_FILE_NAME);
+  const targetManifest = targetFiles.find(f => f.name === MANIFEST_FILE_NAME);
+  if (manifestMode === 'replace' && sourceManifest) {
+    filesToWrite.push(sourceManifest);
+  } else if (!targetManifest && sourceManifest) {
+    // A project cannot be saved without a manifest
+    filesToWrite.push(sourceManifest);
+  }
+
+  // Placeholders are filled in per target; any left over fail the target before anything is written
+  let variables;
+  if (options.templateValues) {
+    const rendered = renderTemplateFiles(filesToWrite, options.templateValues);
+    if (rendered.unresolved.length > 0) {
+      throw new Error(`Unresolved template placeholders: ${rendered.unresolved.join(', ')}`);
+    }
+    filesToWrite = rendered.files;
+    variables = rendered.used;
+  }
+
+  // With the protected merge strategy, target-owned regions survive and locally edited targets are left alone
+  let protectedRegions;
+  const unverified = [];
+  if (options.merge === 'protected') {
+    const conflicts = [];
+    protectedRegions = {};
+    filesToWrite = filesToWrite.map(f => {
+      const existing = targetFiles.find(t => t.name === f.name && t.type === f.type);
+      if (!existing) return f;
+      const file = getFileDisplayName(f);
+      const baselineHash = options.baseline ? options.baseline[file] : undefined;
+      if (!baselineHash) unverified.push(file);
+      const merged = mergeProtectedRegions(f, existing, baselineHash, options.force);
+      if (merged.conflict) {
+        conflicts.push({ file, reason: merged.conflict });
+        return f;
+      }
+      if (merged.preserved.length > 0) protectedRegions[file] = merged.preserved;
+      return { ...f, source: merged.source };
+    });
+    if (conflicts.length > 0) {
+      return { conflicts };
+    }
+  }
+
+  const writeNames = new Set(filesToWrite.map(f => f.name));
+  const updatedFiles = [];
+
+  targetFiles.forEach(f => {
+    if (!writeNames.has(f.name)) {
+      updatedFiles.push(f);
+      report.kept.push(getFileDisplayName(f));
+    }
+  });
+
+  filesToWrite.forEach(f => {
+    const existing = targetFiles.find(t => t.name === f.name);
+    (existing ? report.replaced : report.added).push(getFileDisplayName(f));
+    changes.push({
+      file: getFileDisplayName(f),
+      status: !existing ? 'new' : (existing.source === f.source && existing.type === f.type ? 'unchanged' : 'changed'),
+      before: existing ? existing.source || '' : '',
+      after: f.source || ''
+    });
+    updatedFiles.push({
+      name: f.name,
+      type: f.type,
+      source: f.source
+    });
+  });
+
+  return {
+    files: updatedFiles,
+    report,
+    changes,
+    variables,
+    protectedRegions,
+    unverified: unverified.length > 0 ? unverified : undefined,
+    contentHash: hashScriptFiles(filesToWrite),
+    fileHashes: hashSyncedFiles(filesToWrite)
+  };
+}
+
+/**
+ * Build the dry-run report for a planned copy: per-file unified diffs plus a summary
+ */
+function describePlannedChanges(changes) {
+  const summary = { changed: 0, unchanged: 0, new: 0 };
+  const diffs = [];
+
+  changes.forEach(change => {
+    summary[change.status]++;
+    if (change.status !== 'unchanged') {
+      diffs.push({
+        file: change.file,
+        status: change.status,
+        diff: createTwoFilesPatch(
+          change.status === 'new' ? '/dev/null' : `a/${change.file}`,
+          `b/${change.file}`,
+          change.before,
+          change.after
+        )
+      });
+    }
+  });
+
+  return { summary, diffs, noop: summary.changed === 0 && summary.new === 0 };
+}
+
+/**
+ * Validate the copyFunctions createVersion/updateDeployment settings.
+ * Returns null when no version should be created.
+ */
+function normalizeReleaseOptions(createVersion, updateDeployment) {
+  const isEnabled = (value) => value === true || value === 'true';
+  let description = null;
+  let deploymentName = null;
+
+  if (createVersion !== undefined && createVersion !== null && createVersion !== false && createVersion !== 'false') {
+    if (typeof createVersion === 'object') {
+      if (createVersion.description !== undefined && typeof createVersion.description !== 'string') {
+        throw new Error('createVersion.description must be a string');
+      }
+      description = createVersion.description || null;
+    } else if (!isEnabled(createVersion)) {
+      throw new Error('createVersion must be true/false or { description: string }');
+    }
+  } else if (!updateDeployment) {
+    return null;
+  }
+
+  if (updateDeployment) {
+    deploymentName = typeof updateDeployment === 'object' ? updateDeployment.name : updateDeployment;
+    if (typeof deploymentName !== 'string' || !deploymentName.trim()) {
+      throw new Error('updateDeployment must be a deployment name or { name: string }');
+    }
+    deploymentName = deploymentName.trim();
+  }
+
+  return { description, deploymentName };
+}
+
+/**
+ * Create a numbered version of a script project and optionally point a named deployment at it.
+ * Deployments are matched by their description, which is what the Apps Script editor shows as the name.
+ * Each API call is retried on its own, so a transient deployment error never creates another version.
+ */
+async function createVersionAndDeploy(auth, scriptId, release) {
+  const call = (label, task) => withRetry(task, { label: `${label} ${scriptId}` }).then(({ value }) => value);
+  let versionNumber;
+  try {
+    const versionResponse = await call('versions.create', () => script.projects.versions.create({
+      auth,
+      scriptId,
+      requestBody: { description: release.description }
+    }));
+    versionNumber = versionResponse.data.versionNumber;
+    logger.info(`Created version ${versionNumber} of ${scriptId}: ${release.description}`);
+
+    const result = { version: { number: versionNumber, description: release.description } };
+    if (!release.deploymentName) {
+      return result;
+    }
+
+    const deploymentConfig = {
+      versionNumber,
+      manifestFileName: MANIFEST_FILE_NAME,
+      description: release.deploymentName
+    };
+
+    const deploymentsResponse = await call('deployments.list', () => script.projects.deployments.list({ auth, scriptId }));
+    const existing = (deploymentsResponse.data.deployments || []).find(d =>
+      d.deploymentConfig &&
+      d.deploymentConfig.versionNumber &&
+      d.deploymentConfig.description === release.deploymentName
+    );
+
+    let deployment;
+    if (existing) {
+      deployment = await call('deployments.update', () => script.projects.deployments.update({
+        auth,
+        scriptId,
+        deploymentId: existing.deploymentId,
+        requestBody: { deploymentConfig }
+      }));
+    } else {
+      deployment = await call('deployments.create', () => script.projects.deployments.create({
+        auth,
+        scriptId,
+        requestBody: deploymentConfig
+      }));
+    }
+
+    result.deployment = {
+      id: deployment.data.deploymentId,
+      name: release.deploymentName,
+      action: existing ? 'updated' : 'created'
+    };
+    logger.info(`${existing ? 'Updated' : 'Created'} deployment "${release.deploymentName}" (${result.deployment.id}) at version ${versionNumber}`);
+    return result;
+  } catch (error) {
+    const created = versionNumber ? ` (version ${versionNumber} was created)` : '';
+    throw new Error(`Error creating version/deployment for ${scriptId}${created}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Read a target project's files before overwriting them. Only a missing project (404) reads as
+ * empty (`found: false`); any other failure rejects, so the target is retried or failed instead of
+ * being written over with files that were never seen.
+ */
+async function readTargetFiles(auth, scriptId) {
+  try {
+    const content = await script.projects.getContent({ auth, scriptId });
+    return { files: content.data.files || [], found: true };
+  } catch (error) {
+    if (getErrorStatus(error) !== 404) {
+      throw error;
+    }
+    logger.info(`No existing content for ${scriptId}. Initializing empty project.`);
+    return { files: [], found: false };
+  }
+}
+
+/**
+ * Copy the selected source files (see loadSourceFiles) to target script project
+ * (overwrites files with the same name). `options.sourceLabel` names the source in logs.
+ */
+async function copyFunction(auth, sourceFiles, targetScriptId, options = {}) {
+  try {
+    logger.info(`${options.dryRun ? '[dry run] Comparing' : 'Copying'} script files from ${options.sourceLabel || 'source'} to ${targetScriptId}`);
+
+    // Get target script content
+    const target = await readTargetFiles(auth, targetScriptId);
+
+    const plan = planFunctionCopy(sourceFiles, target.files, options);
+
+    if (plan.conflicts) {
+      logger.warn(`Skipping ${targetScriptId}: ${plan.conflicts.map(c => `${c.file} (${c.reason})`).join('; ')}`);
+      return { scriptId: targetScriptId, dryRun: options.dryRun, conflicts: plan.conflicts };
+    }
+
+    const merge = { protectedRegions: plan.protectedRegions, unverified: plan.unverified };
+    if (options.dryRun) {
+      const { summary, diffs, noop } = describePlannedChanges(plan.changes);
+      logger.info(`[dry run] ${targetScriptId}: ${noop ? 'no changes' : `${summary.changed} changed, ${summary.new} new, ${summary.unchanged} unchanged`}`);
+      return { scriptId: targetScriptId, dryRun: true, noop, summary, files: plan.report, diffs, variables: plan.variables, ...merge, contentHash: plan.contentHash };
+    }
+
+    if (options.runId) {
+      if (!target.found) {
+        throw new Error(`Cannot back up ${targetScriptId}: its content could not be read, so it is not overwritten`);
+      }
+      await backupScriptContent(options.runId, targetScriptId, target.files, { profile: options.profile });
+    }
+
+    // Update target script project
+    await script.projects.updateContent({
+      auth,
+      scriptId: targetScriptId,
+      requestBody: { files: plan.files },
+    });
+
+    const { report } = plan;
+    logger.info(`Successfully updated ${targetScriptId}: ${report.added.length} added, ${report.replaced.length} replaced, ${report.kept.length} kept`);
+
+    return {
+      scriptId: targetScriptId,
+      files: report,
+      variables: plan.variables,
+      ...merge,
+      contentHash: plan.contentHash,
+      fileHashes: plan.fileHashes
+    };
+  } catch (error) {
+    throw new Error(`Error copying function to ${targetScriptId}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Validate script ID format and test access
+ */
+async function validateAndTestScriptAccess(auth, scriptId) {
+  // Valid script IDs can be various lengths, including long ones
+  if (!scriptId || scriptId.length < 20) {
+    return { valid: false, error: 'Script ID too short' };
+  }
+  
+  const validPattern = /^[A-Za-z0-9_-]+$/;
+  if (!validPattern.test(scriptId)) {
+    return { valid: false, error: 'Script ID contains invalid characters' };
+  }
+  
+  // Try to access the script to verify it exists and we have permission
+  try {
+    logger.debug('Testing script access', { scriptId });
+    const testContent = await script.projects.get({
+      auth,
+      scriptId: scriptId
+    });
+    logger.debug('Script found', { scriptId, title: testContent.data.title || 'Untitled' });
+    return { valid: true, title: testContent.data.title };
+  } catch (error) {
+    logger.error('Cannot access script', { scriptId, error: error.message, code: error.code });
+    return { 
+      valid: false, 
+      error: error.message,
+      code: error.code,
+      details: error.errors 
+    };
+  }
+}
+
+/**
+ * Remediation hints for a failed validateAndTestScriptAccess result
+ */
+function getScriptAccessHints(validation, context) {
+  if (validation.code === 404 || (validation.error || '').includes('not found')) {
+    return REMEDIATION_HINTS.scriptNotFound(context);
+  }
+  if (validation.code === 403 || (validation.error || '').includes('PERMISSION')) {
+    return REMEDIATION_HINTS.scriptPermission(context);
+  }
+  if (validation.code === undefined) {
+    return REMEDIATION_HINTS.invalidId(context);
+  }
+  return [];
+}
+
+/**
+ * Find remediation hints attached to an error or any error it wraps
+ */
+function getErrorHints(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.hints && current.hints.length > 0) return current.hints;
+  }
+  return undefined;
+}
+
+/**
+ * Check one master sheet row without writing anything: ID formats, spreadsheet access, script
+ * access, binding (parentId), the target tab and the button images. `options.getAuth` resolves
+ * the row's profile; `options.imageChecks` caches Drive lookups across rows.
+ * Resolves to the row report with one { check, severity, message, hints } per issue.
+ */
+async function validateTarget(spreadsheetId, entry, options) {
+  const profile = entry.profile || options.profile || DEFAULT_PROFILE;
+  const report = { spreadsheetId, row: entry.rowNumber, profile, scriptId: entry.scriptId, status: 'ok', checks: {}, issues: [] };
+  const context = { spreadsheetId, scriptId: entry.scriptId, tab: options.targetSheetTab };
+  const addIssue = (check, severity, message, hints = []) => {
+    report.issues.push({ check, severity, message, hints });
+  };
+  const call = (label, task) => withRetry(task, { label: `validate ${label}` }).then(({ value }) => value);
+
+  // ID formats
+  const spreadsheetIdValid = SAFE_ID_PATTERN.test(spreadsheetId) && spreadsheetId.length >= 20;
+  if (!spreadsheetIdValid) {
+    addIssue('idFormat', 'error', `Spreadsheet ID "${spreadsheetId}" is not a valid ID`, REMEDIATION_HINTS.invalidId(context));
+  }
+  let scriptIdValid = false;
+  if (!entry.scriptId) {
+    addIssue('idFormat', 'error', 'No script ID', REMEDIATION_HINTS.missingScriptId(context));
+  } else if (!SAFE_ID_PATTERN.test(entry.scriptId) || entry.scriptId.length < 20) {
+    addIssue('idFormat', 'error', `Script ID "${entry.scriptId}" is not a valid ID`, REMEDIATION_HINTS.invalidId(context));
+  } else {
+    scriptIdValid = true;
+  }
+  report.checks.idFormat = spreadsheetIdValid && scriptIdValid ? 'passed' : 'failed';
+
+  let auth;
+  try {
+    auth = await options.getAuth(profile);
+  } catch (error) {
+    addIssue('profile', 'error', error.message);
+    report.checks.profile = 'failed';
+  }
+
+  // Spreadsheet opens, and the target tab exists
+  let sheetTitles = null;
+  if (auth && spreadsheetIdValid) {
+    try {
+      const spreadsheet = await call(spreadsheetId, () => sheets.spreadsheets.get({
+        auth,
+        spreadsheetId,
+        fields: 'properties.title,sheets.properties.title'
+      }));
+      report.title = spreadsheet.data.properties.title;
+      sheetTitles = spreadsheet.data.sheets.map(sheet => sheet.properties.title);
+      report.checks.spreadsheet = 'passed';
+    } catch (error) {
+      addIssue('spreadsheet', 'error', `Spreadsheet cannot be opened: ${error.message}`, REMEDIATION_HINTS.spreadsheetUnavailable(context));
+      report.checks.spreadsheet = 'failed';
+    }
+  }
+  if (options.targetSheetTab && sheetTitles) {
+    if (sheetTitles.includes(options.targetSheetTab)) {
+      report.checks.tab = 'passed';
+    } else {
+      addIssue('tab', 'error', `Tab "${options.targetSheetTab}" not found. Available: ${sheetTitles.join(', ')}`, REMEDIATION_HINTS.tabMissing(context));
+      report.checks.tab = 'failed';
+    }
+  }
+
+  // Script project is accessible and bound to this spreadsheet
+  if (auth && scriptIdValid) {
+    try {
+      const project = await call(entry.scriptId, () => script.projects.get({ auth, scriptId: entry.scriptId }));
+      report.checks.script = 'passed';
+      if (project.data.parentId === spreadsheetId) {
+        report.checks.binding = 'passed';
+      } else if (!project.data.parentId) {
+        addIssue('binding', 'warning', 'Script is a standalone project, not bound to the spreadsheet; buttons cannot call its functions', REMEDIATION_HINTS.notBound(context));
+        report.checks.binding = 'failed';
+      } else {
+        addIssue('binding', 'error', `Script is bound to another spreadsheet (${project.data.parentId})`, REMEDIATION_HINTS.notBound(context));
+        report.checks.binding = 'failed';
+      }
+    } catch (error) {
+      const validation = { error: error.message, code: getErrorStatus(error) };
+      addIssue('script', 'error', `Script project cannot be accessed: ${error.message}`, getScriptAccessHints(validation, context));
+      report.checks.script = 'failed';
+    }
+  }
+
+  // Button configuration and Drive images
+  if (entry.buttonImageIds.length > 0) {
+    try {
+      buildButtonSpecs(entry, null);
+      report.checks.buttons = 'passed';
+    } catch (error) {
+      addIssue('buttons', 'error', error.message, REMEDIATION_HINTS.invalidButtons(context));
+      report.checks.buttons = 'failed';
+    }
+
+    if (auth && options.checkImages !== false) {
+      const missing = [];
+      for (const imageId of entry.buttonImageIds.filter(id => SAFE_ID_PATTERN.test(id))) {
+        const key = `${profile}|${imageId}`;
+        if (!options.imageChecks.has(key)) {
+          options.imageChecks.set(key, call(imageId, () => drive.files.get({
+            auth,
+            fileId: imageId,
+            fields: 'id,name,mimeType',
+            supportsAllDrives: true
+          })).then(file => ({ mimeType: file.data.mimeType }), error => ({ error: error.message })));
+        }
+        const image = await options.imageChecks.get(key);
+        if (image.error) {
+          missing.push(imageId);
+          addIssue('images', 'error', `Image ${imageId} cannot be opened: ${image.error}`, REMEDIATION_HINTS.imageUnavailable({ ...context, imageId }));
+        } else if (!(image.mimeType || '').startsWith('image/')) {
+          addIssue('images', 'warning', `Drive file ${imageId} is not an image (${image.mimeType})`);
+        }
+      }
+      report.checks.images = missing.length === 0 ? 'passed' : 'failed';
+    }
+  }
+
+  if (report.issues.some(issue => issue.severity === 'error')) {
+    report.status = 'error';
+  } else if (report.issues.length > 0) {
+    report.status = 'warning';
+  }
+  return report;
+}
+
+/**
+ * Index the run history for drift checks: scriptId -> { known: { file: Set(hash) }, lastSync: { runId, at } }
+ * over every successful copyFunctions push and rollback
+ */
+function buildSyncHistory(runs) {
+  const history = new Map();
+  runs.forEach(run => {
+    (run.targets || []).forEach(target => {
+      if (!target.scriptId || !target.fileHashes || target.status !== 'success') return;
+      if (!history.has(target.scriptId)) {
+        history.set(target.scriptId, { known: {}, lastSync: null });
+      }
+      const entry = history.get(target.scriptId);
+      Object.entries(target.fileHashes).forEach(([file, hash]) => {
+        (entry.known[file] = entry.known[file] || new Set()).add(hash);
+      });
+      entry.lastSync = { runId: run.runId, at: run.finishedAt };
+    });
+  });
+  return history;
+}
+
+/**
+ * Compare one target's synced files (protected regions excluded) with the source, read-only.
+ * Each file is in-sync, outdated (matches an earlier push to this project or is not there yet),
+ * locally-modified or missing; the target takes the worst of its files, or is missing/error
+ * when its project cannot be read.
+ */
+async function checkTargetDrift(spreadsheetId, entry, options) {
+  const result = {
+    spreadsheetId,
+    scriptId: entry.scriptId || null,
+    profile: entry.profile || options.profile || DEFAULT_PROFILE,
+    status: null,
+    files: []
+  };
+  if (!entry.scriptId) {
+    return { ...result, status: 'missing', error: 'No Script ID in the master sheet' };
+  }
+
+  let targetFiles;
+  try {
+    const auth = await options.getAuth(entry.profile);
+    const { value: content } = await withRetry(
+      () => script.projects.getContent({ auth, scriptId: entry.scriptId }),
+      { label: `drift ${spreadsheetId}` }
+    );
+    targetFiles = content.data.files || [];
+  } catch (error) {
+    return {
+      ...result,
+      status: getErrorStatus(error) === 404 ? 'missing' : 'error',
+      error: error.message,
+      hints: getErrorHints(error)
+    };
+  }
+
+  let sourceFiles = options.sourceFiles;
+  if (options.templating) {
+    const rendered = renderTemplateFiles(sourceFiles, resolveTemplateValues(entry, spreadsheetId, options.templating));
+    if (rendered.unresolved.length > 0) {
+      return { ...result, status: 'error', error: `Unresolved template placeholders: ${rendered.unresolved.join(', ')}` };
+    }
+    sourceFiles = rendered.files;
+  }
+
+  const history = options.history.get(entry.scriptId);
+  sourceFiles.forEach(f => {
+    const file = getFileDisplayName(f);
+    const existing = targetFiles.find(t => t.name === f.name && t.type === f.type);
+    if (!existing) {
+      result.files.push({ file, status: 'missing' });
+      return;
+    }
+    const hash = hashSyncedSource(existing.source);
+    let status = 'locally-modified';
+    if (hash === hashSyncedSource(f.source)) {
+      status = 'in-sync';
+    } else if (history && history.known[file] && history.known[file].has(hash)) {
+      status = 'outdated';
+    }
+    result.files.push({ file, status, hash });
+  });
+
+  const statuses = result.files.map(f => f.status);
+  if (statuses.includes('locally-modified')) {
+    result.status = 'locally-modified';
+  } else if (statuses.every(status => status === 'in-sync')) {
+    result.status = 'in-sync';
+  } else {
+    result.status = 'outdated';
+  }
+  result.lastSync = history ? history.lastSync : null;
+  return result;
+}
+
+/**
+ * Render rows as CSV (RFC 4180 quoting) with the given columns as the header
+ */
+function toCsv(columns, rows) {
+  const escape = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse one button style entry from the master sheet, e.g. "width=120,height=40,offsetX=4,title=Calcular"
+ */
+function parseButtonStyle(style) {
+  const parsed = {};
+  const problems = [];
+  const numberKeys = { width: 'width', height: 'height', offsetx: 'offsetX', offsety: 'offsetY' };
+
+  style.split(',').map(part => part.trim()).filter(part => part).forEach(part => {
+    const separator = part.indexOf('=');
+    const key = separator === -1 ? part.toLowerCase() : part.slice(0, separator).trim().toLowerCase();
+    const value = separator === -1 ? '' : part.slice(separator + 1).trim();
+
+    if (numberKeys[key]) {
+      const number = Number(value);
+      const isSize = key === 'width' || key === 'height';
+      if (!/^\d+$/.test(value) || (isSize && number === 0) || number > 5000) {
+        problems.push(`${numberKeys[key]} must be ${isSize ? 'a positive' : 'a non-negative'} whole number of pixels (got "${value}")`);
+      } else {
+        parsed[numberKeys[key]] = number;
+      }
+    } else if (key === 'title' || key === 'alt') {
+      if (!value) {
+        problems.push('title must not be empty');
+      } else {
+        parsed.title = value;
+      }
+    } else {
+      problems.push(`unknown style "${key}" (expected width, height, offsetX, offsetY, title)`);
+    }
+  });
+
+  return { style: parsed, problems };
+}
+
+/**
+ * Build the list of buttons for a target from its master sheet row: image, position,
+ * assigned function and styling. Throws with every problem found, so a rollout can be
+ * validated before any target is touched.
+ */
+function buildButtonSpecs(targetData, defaultFunction) {
+  const problems = [];
+  const { buttonImageIds = [], coordinates = [], buttonFunctions = [], buttonStyles = [] } = targetData;
+
+  if (buttonImageIds.length === 0) {
+    problems.push('no button image IDs');
+  }
+  if (coordinates.length === 0) {
+    problems.push('no coordinates');
+  }
+  if (buttonImageIds.length !== coordinates.length) {
+    problems.push(`${buttonImageIds.length} button IDs but ${coordinates.length} coordinate pairs`);
+  }
+  if (buttonFunctions.length > buttonImageIds.length) {
+    problems.push(`${buttonFunctions.length} button functions for ${buttonImageIds.length} buttons`);
+  }
+  if (buttonStyles.length > buttonImageIds.length) {
+    problems.push(`${buttonStyles.length} button styles for ${buttonImageIds.length} buttons`);
+  }
+
+  const specs = buttonImageIds.map((imageId, i) => {
+    const spec = {
+      imageId,
+      col: coordinates[i] ? coordinates[i][0] : null,
+      row: coordinates[i] ? coordinates[i][1] : null,
+      function: buttonFunctions[i] || defaultFunction || null
+    };
+
+    if (!SAFE_ID_PATTERN.test(imageId)) {
+      problems.push(`button ${i + 1}: invalid image ID "${imageId}"`);
+    }
+    if (spec.function && !FUNCTION_NAME_PATTERN.test(spec.function)) {
+      problems.push(`button ${i + 1}: invalid function name "${spec.function}"`);
+    }
+    if (buttonStyles[i]) {
+      const { style, problems: styleProblems } = parseButtonStyle(buttonStyles[i]);
+      styleProblems.forEach(problem => problems.push(`button ${i + 1}: ${problem}`));
+      Object.assign(spec, style);
+    }
+    return spec;
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid button configuration: ${problems.join('; ')}`);
+  }
+  return specs;
+}
+
+/**
+ * Source of the tempCopyButtons helper pushed into target projects. It places buttons on a tab
+ * without stacking duplicates. It contains no request data: the spreadsheet, tab, buttons, mode
+ * and tag prefix are passed as the single scripts.run parameter.
+ */
+const BUTTON_HELPER_SOURCE = `
+  function copyButtonsWithFunctions(params) {
+    Logger.clear();
+    Logger.log('=== Starting button placement process ===');
+
+    try {
+      Logger.log('Target Spreadsheet ID: ' + params.spreadsheetId);
+      Logger.log('Target Sheet Tab: ' + params.sheetTab);
+
+      Logger.log('Opening target spreadsheet...');
+      var targetSpreadsheet = SpreadsheetApp.openById(params.spreadsheetId);
+      Logger.log('Target spreadsheet opened: ' + targetSpreadsheet.getName());
+
+      Logger.log('Getting target sheet...');
+      var targetSheet = targetSpreadsheet.getSheetByName(params.sheetTab);
+
+      if (!targetSheet) {
+        Logger.log('ERROR: Target sheet "' + params.sheetTab + '" not found!');
+        Logger.log('Available sheets: ' + targetSpreadsheet.getSheets().map(function(s) { return s.getName(); }).join(', '));
+        throw new Error('Target sheet "' + params.sheetTab + '" not found');
+      }
+      Logger.log('Target sheet found: ' + targetSheet.getName());
+
+      // Button data from master sheet
+      var buttons = params.buttons;
+      var mode = params.mode;
+      var tagPrefix = params.tagPrefix;
+      Logger.log('Found ' + buttons.length + ' button(s) to place (mode: ' + mode + ')');
+
+      // Existing images on the tab, matched by alt-text tag first, then by anchor cell
+      var existingImages = targetSheet.getImages();
+      var claimed = [];
+      Logger.log('Existing images on tab: ' + existingImages.length);
+
+      function findExisting(button) {
+        var tag = tagPrefix + button.imageId;
+        var anchorMatch = null;
+        for (var j = 0; j < existingImages.length; j++) {
+          if (claimed.indexOf(j) !== -1) continue;
+          var image = existingImages[j];
+          if (image.getAltTextDescription() === tag) return j;
+          var anchor = image.getAnchorCell();
+          if (anchorMatch === null && anchor.getColumn() === button.col && anchor.getRow() === button.row &&
+              image.getAltTextDescription().indexOf(tagPrefix) !== 0) {
+            anchorMatch = j;
+          }
+        }
+        return anchorMatch;
+      }
+
+      function tagAndStyle(image, button) {
+        image.setAltTextDescription(tagPrefix + button.imageId);
+        if (button.title) image.setAltTextTitle(button.title);
+        if (button.width) image.setWidth(button.width);
+        if (button.height) image.setHeight(button.height);
+        if (button.offsetX !== undefined) image.setAnchorCellXOffset(button.offsetX);
+        if (button.offsetY !== undefined) image.setAnchorCellYOffset(button.offsetY);
+        if (button.function) {
+          image.assignScript(button.function);
+          Logger.log('Assigned script function: ' + button.function);
+        }
+      }
+
+      var counts = { added: 0, updated: 0, removed: 0, untouched: 0 };
+      var buttonDetails = [];
+
+      for (var i = 0; i < buttons.length; i++) {
+        Logger.log('\\n--- Processing button ' + (i + 1) + ' of ' + buttons.length + ' ---');
+        var button = buttons[i];
+        var col = button.col;
+        var row = button.row;
+        var imageId = button.imageId;
+
+        try {
+          Logger.log('Image ID: ' + imageId);
+          Logger.log('Position: Column ' + col + ', Row ' + row);
+
+          var existingIndex = findExisting(button);
+          var action;
+
+          if (existingIndex !== null) {
+            claimed.push(existingIndex);
+            var existing = existingImages[existingIndex];
+
+            if (mode === 'skip') {
+              action = 'untouched';
+              Logger.log('Button already present, leaving it alone');
+            } else if (mode === 'update') {
+              var anchor = existing.getAnchorCell();
+              if (anchor.getColumn() !== col || anchor.getRow() !== row) {
+                existing.setAnchorCell(targetSheet.getRange(row, col));
+                Logger.log('Moved existing button to Column ' + col + ', Row ' + row);
+              }
+              tagAndStyle(existing, button);
+              action = 'updated';
+            } else {
+              existing.remove();
+              counts.removed++;
+              Logger.log('Removed existing button');
+            }
+          }
+
+          if (!action) {
+            // Create image URL from Drive ID
+            var imageUrl = 'https://drive.google.com/uc?id=' + imageId;
+            Logger.log('Inserting image from ' + imageUrl);
+            var newImage = targetSheet.insertImage(imageUrl, col, row);
+            tagAndStyle(newImage, button);
+            action = 'added';
+            Logger.log('Image inserted successfully!');
+          }
+
+          counts[action]++;
+          buttonDetails.push({
+            position: col + ',' + row,
+            imageId: imageId,
+            function: button.function || null,
+            action: action
+          });
+        } catch (imageError) {
+          Logger.log('ERROR placing button ' + (i + 1) + ': ' + imageError.toString());
+          buttonDetails.push({
+            position: col + ',' + row,
+            imageId: imageId,
+            error: imageError.toString()
+          });
+        }
+      }
+
+      // Images that no desired button claimed are left as they are
+      counts.untouched += existingImages.length - claimed.length;
+
+      Logger.log('\\n=== Placement complete ===');
+      var resultMessage = counts.added + ' added, ' + counts.updated + ' updated, ' +
+        counts.removed + ' removed, ' + counts.untouched + ' untouched. ';
+      var unassigned = buttons.filter(function(b) { return !b.function; }).length;
+      if (unassigned === 0) {
+        resultMessage += 'Script functions are assigned to all placed buttons.';
+      } else {
+        resultMessage += 'IMPORTANT: ' + unassigned + ' button(s) have no script function. ';
+        resultMessage += 'Right-click each button > Assign script > Enter function name (e.g., "calcularPagamentos").';
+      }
+
+      Logger.log(resultMessage);
+
+      return { 
+        success: true, 
+        copiedCount: counts.added + counts.updated,
+        counts: counts,
+        buttons: buttonDetails,
+        message: resultMessage
+      };
+    } catch (e) {
+      Logger.log('\\n=== ERROR ===');
+      Logger.log('Error: ' + e.toString());
+      Logger.log('Stack: ' + e.stack);
+      return { 
+        success: false, 
+        error: e.toString(),
+        stack: e.stack
+      };
+    }
+  }
+`;
+
+/**
+ * Push a static helper file into a target project and run it with `params` as its only scripts.run
+ * parameter. The project is backed up first when a runId is given. On failure the helper is kept for
+ * inspection; on success it is removed unless options.cleanup is "never".
+ */
+async function runHelperFile(auth, scriptId, helper, params, options = {}) {
+  const target = await readTargetFiles(auth, scriptId);
+  if (options.runId) {
+    if (!target.found) {
+      throw new Error(`Cannot back up ${scriptId}: its content could not be read, so it is not overwritten`);
+    }
+    await backupScriptContent(options.runId, scriptId, target.files, { profile: options.profile });
+  }
+
+  await script.projects.updateContent({
+    auth,
+    scriptId,
+    requestBody: {
+      files: [
+        ...target.files.filter(f => f.name !== helper.name),
+        { name: helper.name, type: 'SERVER_JS', source: helper.source }
+      ]
+    }
+  });
+  logger.info(`Created ${helper.name} in ${scriptId}`);
+
+  let result;
+  try {
+    logger.info(`Executing ${helper.name}`, { scriptId, function: helper.functionName });
+    const runResponse = await script.scripts.run({
+      auth,
+      scriptId,
+      resource: {
+        function: helper.functionName,
+        parameters: [params],
+        devMode: false
+      }
+    });
+    if (runResponse.data.error) {
+      const error = runResponse.data.error;
+      logger.error('Execution error', { scriptId, error: error.message, details: error.details });
+      throw new Error(`Execution failed: ${error.message}`);
+    }
+    result = runResponse.data.response?.result || {};
+    if (result.success === false) {
+      throw new Error(`${helper.failure}: ${result.error}`);
+    }
+  } catch (execError) {
+    logger.error(`Failed to execute ${helper.functionName}; keeping ${helper.name} for inspection`, {
+      scriptId,
+      error: execError.message,
+      editorUrl: `https://script.google.com/d/${scriptId}/edit`
+    });
+    if (execError.message.includes('PERMISSION_DENIED') || execError.message.includes('403')) {
+      execError.hints = REMEDIATION_HINTS.executionPermission();
+    }
+    throw execError;
+  }
+
+  // Remove the helper once it has done its job; a failed cleanup does not fail the run
+  let helperRemoved = false;
+  let cleanupError;
+  if ((options.cleanup || 'onSuccess') === 'onSuccess') {
+    try {
+      helperRemoved = (await removeHelperFiles(auth, scriptId, { names: [helper.name] })).length > 0;
+    } catch (error) {
+      cleanupError = error.message;
+      logger.warn(`Could not remove ${helper.name} from ${scriptId}: ${error.message}`);
+    }
+  } else {
+    logger.info(`Keeping ${helper.name} in ${scriptId} (cleanup: never)`);
+  }
+  return { result, helperRemoved, cleanupError };
+}
+
+/**
+ * Copy buttons using image IDs and coordinates from master sheet
+ */
+async function copyButtonsFromSheet(auth, masterSpreadsheetId, sourceSpreadsheetId, sourceSheetTab, targetSpreadsheetId, targetSheetTab, buttonScript, options = {}) {
+  try {
+    logger.info(`Copying buttons to ${targetSpreadsheetId}/${targetSheetTab}`);
+
+    if (typeof targetSheetTab !== 'string' || !SHEET_TAB_PATTERN.test(targetSheetTab)) {
+      throw new Error(`Invalid target sheet tab name "${targetSheetTab}"`);
+    }
+    if (buttonScript && !FUNCTION_NAME_PATTERN.test(buttonScript)) {
+      throw new Error(`Invalid button function name "${buttonScript}"`);
+    }
+
+    // Get button data (image IDs and coordinates) from the master sheet snapshot, reading it only if none was passed in
+    const scriptIdMap = options.masterSheet || await loadMasterSheet(auth, masterSpreadsheetId);
+    const targetData = scriptIdMap.get(targetSpreadsheetId);
+    
+    if (!targetData || !targetData.scriptId) {
+      throw new Error(`No script ID found for target spreadsheet ${targetSpreadsheetId}`);
+    }
+    
+    // Validate and test script access
+    const targetScriptId = targetData.scriptId;
+    logger.info(`Validating script ID: ${targetScriptId} (length: ${targetScriptId.length})`);
+    
+    const validation = await validateAndTestScriptAccess(auth, targetScriptId);
+    if (!validation.valid) {
+      logger.error(`Script validation failed for ${targetScriptId}: ${validation.error} (code: ${validation.code || 'N/A'})`);
+      const accessError = new Error(`Cannot access script ${targetScriptId}: ${validation.error}`);
+      accessError.hints = getScriptAccessHints(validation, { spreadsheetId: targetSpreadsheetId, scriptId: targetScriptId });
+      throw accessError;
+    }
+    
+    logger.info(`Script validated: "${validation.title}"`);
+    
+    const buttonSpecs = buildButtonSpecs(targetData, buttonScript);
+    
+    const buttonMode = options.mode || 'replace';
+    logger.info(`Found ${buttonSpecs.length} button(s) to copy (mode: ${buttonMode})`);
+
+    // The helper is static code; everything target-specific reaches it as a scripts.run parameter
+    const helperParams = {
+      spreadsheetId: targetSpreadsheetId,
+      sheetTab: targetSheetTab,
+      buttons: buttonSpecs,
+      mode: buttonMode,
+      tagPrefix: BUTTON_TAG_PREFIX
+    };
+
+    const { result: executionResult, helperRemoved, cleanupError } = await runHelperFile(auth, targetScriptId, {
+      name: 'tempCopyButtons',
+      functionName: 'copyButtonsWithFunctions',
+      source: BUTTON_HELPER_SOURCE,
+      failure: 'Button placement failed'
+    }, helperParams, options);
+
+    logger.info('Execution completed', {
+      scriptId: targetScriptId,
+      counts: executionResult.counts,
+      message: executionResult.message || 'No message',
+      buttons: executionResult.buttons
+    });
+
+    logger.info('Button copy operation completed', { scriptId: targetScriptId });
+
+    return {
+      success: true,
+      scriptId: targetScriptId,
+      functionName: 'copyButtonsWithFunctions',
+      copiedCount: executionResult.copiedCount || 0,
+      counts: executionResult.counts,
+      buttons: executionResult.buttons || [],
+      message: executionResult.message || 'Buttons copied successfully',
+      helperRemoved,
+      cleanupError
+    };
+  } catch (error) {
+    throw new Error(`Error copying buttons to ${targetSpreadsheetId}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Validate the desired triggers of the triggers section. Each is { function, type, schedule? }:
+ * time triggers take exactly one of everyMinutes, everyHours, everyDays (with optional atHour)
+ * or onWeekDay (with optional atHour); spreadsheet triggers (onEdit, onChange, onOpen, onFormSubmit)
+ * take no schedule. Returns the specs with a `key` identifying each one.
+ */
+function normalizeTriggerSpecs(desired) {
+  if (!Array.isArray(desired)) {
+    throw new Error('desired must be a list of { function, type, schedule } triggers');
+  }
+
+  const keys = new Set();
+  return desired.map((trigger, index) => {
+    const label = `desired[${index}]`;
+    if (!trigger || typeof trigger !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+    if (typeof trigger.function !== 'string' || !FUNCTION_NAME_PATTERN.test(trigger.function)) {
+      throw new Error(`${label}.function must be a function name (letters, digits, _ and $)`);
+    }
+    if (!TRIGGER_TYPES.includes(trigger.type)) {
+      throw new Error(`${label}.type must be one of ${TRIGGER_TYPES.join(', ')}`);
+    }
+
+    let schedule = null;
+    if (trigger.type === 'time') {
+      const input = trigger.schedule || {};
+      const kinds = ['everyMinutes', 'everyHours', 'everyDays', 'onWeekDay'].filter(kind => input[kind] !== undefined);
+      if (kinds.length !== 1) {
+        throw new Error(`${label}.schedule must set exactly one of everyMinutes, everyHours, everyDays, onWeekDay`);
+      }
+      const kind = kinds[0];
+      schedule = {};
+      if (TRIGGER_SCHEDULES[kind]) {
+        if (!TRIGGER_SCHEDULES[kind].includes(Number(input[kind]))) {
+          throw new Error(`${label}.schedule.${kind} must be one of ${TRIGGER_SCHEDULES[kind].join(', ')}`);
+        }
+        schedule[kind] = Number(input[kind]);
+      } else if (kind === 'everyDays') {
+        if (!Number.isInteger(Number(input.everyDays)) || Number(input.everyDays) < 1) {
+          throw new Error(`${label}.schedule.everyDays must be a positive whole number`);
+        }
+        schedule.everyDays = Number(input.everyDays);
+      } else {
+        const day = String(input.onWeekDay).toUpperCase();
+        if (!WEEK_DAYS.includes(day)) {
+          throw new Error(`${label}.schedule.onWeekDay must be one of ${WEEK_DAYS.join(', ')}`);
+        }
+        schedule.onWeekDay = day;
+      }
+      if (input.atHour !== undefined) {
+        const hour = Number(input.atHour);
+        if (TRIGGER_SCHEDULES[kind] || !Number.isInteger(hour) || hour < 0 || hour > 23) {
+          throw new Error(`${label}.schedule.atHour must be 0-23 and only goes with everyDays or onWeekDay`);
+        }
+        schedule.atHour = hour;
+      }
+    } else if (trigger.schedule !== undefined) {
+      throw new Error(`${label}.schedule only applies to time triggers`);
+    }
+
+    const spec = { function: trigger.function, type: trigger.type, schedule };
+    const key = JSON.stringify(spec);
+    if (keys.has(key)) {
+      throw new Error(`${label} duplicates an earlier trigger`);
+    }
+    keys.add(key);
+    return { key, ...spec };
+  });
+}
+
+/**
+ * Source of the tempManageTriggers helper pushed into target projects. It reconciles the project's
+ * installable triggers with the desired list: triggers it created before are found through their
+ * unique IDs in Script Properties, kept when still desired and deleted otherwise; missing ones are
+ * created. Triggers it did not create are reported but never touched. Like the button helper it
+ * contains no request data: everything arrives as the single scripts.run parameter.
+ */
+const TRIGGER_HELPER_SOURCE = `
+  function manageTriggers(params) {
+    try {
+      var properties = PropertiesService.getScriptProperties();
+      var managed = JSON.parse(properties.getProperty(params.propertyKey) || '{}');
+      var existing = ScriptApp.getProjectTriggers();
+      var desired = params.triggers;
+      var matched = {};
+      var result = { triggers: [], unmanaged: [], counts: { created: 0, kept: 0, removed: 0, failed: 0 } };
+      var stillManaged = {};
+
+      for (var i = 0; i < existing.length; i++) {
+        var trigger = existing[i];
+        var id = trigger.getUniqueId();
+        var key = managed[id];
+        if (key === undefined) {
+          result.unmanaged.push({ function: trigger.getHandlerFunction(), eventType: String(trigger.getEventType()), uniqueId: id });
+          continue;
+        }
+        var wanted = desired.filter(function(d) { return d.key === key; })[0];
+        if (wanted && !matched[key]) {
+          matched[key] = true;
+          stillManaged[id] = key;
+          result.triggers.push({ function: wanted.function, type: wanted.type, schedule: wanted.schedule, action: 'kept', uniqueId: id });
+          result.counts.kept++;
+        } else {
+          ScriptApp.deleteTrigger(trigger);
+          var removed = JSON.parse(key);
+          result.triggers.push({ function: removed.function, type: removed.type, schedule: removed.schedule, action: 'removed', uniqueId: id });
+          result.counts.removed++;
+        }
+      }
+
+      for (var j = 0; j < desired.length; j++) {
+        var spec = desired[j];
+        if (matched[spec.key]) continue;
+        try {
+          var scope = typeof globalThis !== 'undefined' ? globalThis : this;
+          if (typeof scope[spec.function] !== 'function') {
+            throw new Error('Function ' + spec.function + ' is not defined in this project');
+          }
+          var builder = ScriptApp.newTrigger(spec.function);
+          var created;
+          if (spec.type === 'time') {
+            var clock = builder.timeBased();
+            var schedule = spec.schedule;
+            if (schedule.everyMinutes) clock = clock.everyMinutes(schedule.everyMinutes);
+            if (schedule.everyHours) clock = clock.everyHours(schedule.everyHours);
+            if (schedule.everyDays) clock = clock.everyDays(schedule.everyDays);
+            if (schedule.onWeekDay) clock = clock.onWeekDay(ScriptApp.WeekDay[schedule.onWeekDay]);
+            if (schedule.atHour !== undefined) clock = clock.atHour(schedule.atHour);
+            created = clock.create();
+          } else {
+            var sheet = builder.forSpreadsheet(SpreadsheetApp.openById(params.spreadsheetId));
+            created = sheet[spec.type]().create();
+          }
+          stillManaged[created.getUniqueId()] = spec.key;
+          result.triggers.push({ function: spec.function, type: spec.type, schedule: spec.schedule, action: 'created', uniqueId: created.getUniqueId() });
+          result.counts.created++;
+        } catch (triggerError) {
+          result.triggers.push({ function: spec.function, type: spec.type, schedule: spec.schedule, action: 'failed', error: triggerError.toString() });
+          result.counts.failed++;
+        }
+      }
+
+      properties.setProperty(params.propertyKey, JSON.stringify(stillManaged));
+      result.success = true;
+      return result;
+    } catch (e) {
+      return { success: false, error: e.toString(), stack: e.stack };
+    }
+  }
+`;
+
+/**
+ * Reconcile a target project's installable triggers with `specs` (see normalizeTriggerSpecs)
+ * through the tempManageTriggers helper. The project is backed up before the helper is added.
+ */
+async function manageTriggers(auth, targetSpreadsheetId, targetScriptId, specs, options = {}) {
+  try {
+    logger.info(`Reconciling ${specs.length} trigger(s) in ${targetScriptId}`);
+
+    const validation = await validateAndTestScriptAccess(auth, targetScriptId);
+    if (!validation.valid) {
+      const accessError = new Error(`Cannot access script ${targetScriptId}: ${validation.error}`);
+      accessError.hints = getScriptAccessHints(validation, { spreadsheetId: targetSpreadsheetId, scriptId: targetScriptId });
+      throw accessError;
+    }
+
+    const { result: executionResult, helperRemoved, cleanupError } = await runHelperFile(auth, targetScriptId, {
+      name: 'tempManageTriggers',
+      functionName: 'manageTriggers',
+      source: TRIGGER_HELPER_SOURCE,
+      failure: 'Trigger reconciliation failed'
+    }, {
+      spreadsheetId: targetSpreadsheetId,
+      triggers: specs,
+      propertyKey: TRIGGER_PROPERTY_KEY
+    }, options);
+
+    const counts = executionResult.counts || {};
+    logger.info(`Triggers of ${targetScriptId}: ${counts.created || 0} created, ${counts.kept || 0} kept, ${counts.removed || 0} removed, ${counts.failed || 0} failed`);
+    return {
+      scriptId: targetScriptId,
+      counts,
+      triggers: executionResult.triggers || [],
+      unmanaged: executionResult.unmanaged || [],
+      helperRemoved,
+      cleanupError
+    };
+  } catch (error) {
+    throw new Error(`Error managing triggers of ${targetSpreadsheetId}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Helper function to get script ID for a spreadsheet from a master sheet snapshot (read if not given)
+ */
+async function getScriptIdForSpreadsheet(auth, masterSpreadsheetId, targetSpreadsheetId, masterSheet) {
+  try {
+    const scriptIdMap = masterSheet || await loadMasterSheet(auth, masterSpreadsheetId);
+    const targetData = scriptIdMap.get(targetSpreadsheetId);
+    return targetData ? targetData.scriptId : null;
+  } catch (error) {
+    logger.error(`Error getting script ID for ${targetSpreadsheetId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Append a finished run to the run history file. Records are only ever appended, never rewritten.
+ */
+async function recordRun(record) {
+  try {
+    await fs.mkdir(path.dirname(RUN_HISTORY_FILE), { recursive: true });
+    await fs.appendFile(RUN_HISTORY_FILE, JSON.stringify(record) + '\n');
+  } catch (error) {
+    logger.error('Could not record run history', { runId: record.runId, error: error.message });
+  }
+}
+
+/**
+ * Read every run from the history file, oldest first; unreadable lines are skipped
+ */
+async function readRunHistory() {
+  let content;
+  try {
+    content = await fs.readFile(RUN_HISTORY_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const runs = [];
+  content.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      runs.push(JSON.parse(line));
+    } catch (error) {
+      logger.warn(`Skipping unreadable run history line ${index + 1}`, { error: error.message });
+    }
+  });
+  return runs;
+}
+
+/**
+ * The per-target outcomes of a rollout response, as kept in the run history
+ */
+function summarizeRolloutTargets(response) {
+  const targets = [];
+  ['copyFunctions', 'copyButtons', 'triggers'].forEach(section => {
+    (response[section].details || []).filter(detail => detail.spreadsheetId).forEach(detail => {
+      targets.push({
+        section,
+        spreadsheetId: detail.spreadsheetId,
+        scriptId: detail.scriptId,
+        profile: detail.profile,
+        status: detail.status,
+        attempts: detail.attempts,
+        error: detail.error,
+        releaseError: detail.releaseError,
+        contentHash: detail.contentHash,
+        fileHashes: detail.fileHashes,
+        conflicts: detail.conflicts,
+        version: detail.version ? detail.version.number : undefined,
+        counts: detail.counts,
+        summary: detail.summary,
+        triggers: detail.triggers ? detail.triggers.map(({ function: fn, type, action }) => ({ function: fn, type, action })) : undefined
+      });
+    });
+  });
+  return targets;
+}
+
+/**
+ * Build the run history record of a finished rollout
+ */
+function buildRolloutRecord({ runId, caller, payload, rollout, startedAt, statusCode, response, status }) {
+  const totals = {};
+  ['copyFunctions', 'copyButtons', 'triggers'].forEach(section => {
+    const { total, successful, failed, cancelled, conflicts } = response[section];
+    if (total > 0) totals[section] = { total, successful, failed, cancelled: cancelled || 0, conflicts: conflicts || 0 };
+  });
+
+  return {
+    runId,
+    kind: 'rollout',
+    caller,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    status: status || (statusCode === 200 ? 'completed' : 'failed'),
+    dryRun: rollout.functions.enable === 'true' && rollout.functions.dryRun,
+    masterSheets: [rollout.functions, rollout.buttons, rollout.triggers]
+      .filter(section => section.enable === 'true')
+      .map(section => extractSpreadsheetId(section.sourceSheet))
+      .filter((id, index, ids) => ids.indexOf(id) === index),
+    payload,
+    source: response.copyFunctions.source,
+    totals,
+    targets: summarizeRolloutTargets(response)
+  };
+}
+
+/**
+ * Whether a caller may read a run: admins read every run, other keys the runs of master sheets they may use
+ */
+function canReadRun(caller, run) {
+  if (caller.scopes.includes('admin')) return true;
+  return (run.masterSheets || []).length > 0 && run.masterSheets.every(id => canUseMasterSheet(caller, id));
+}
+
+/**
+ * Drop finished jobs older than JOB_RETENTION_MS
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Register a new rollout job; its ID doubles as the run ID used for backups
+ */
+function createJob(rollout, owner, payload) {
+  pruneJobs();
+
+  // "all" is only resolved once the master sheet is read; the total is updated then
+  const countTargets = (section) => section.enable === 'true' && Array.isArray(section.targetSheets) ? section.targetSheets.length : 0;
+  const job = {
+    id: createRunId(),
+    owner,
+    payload,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    progress: {
+      total: countTargets(rollout.functions) + countTargets(rollout.buttons) + countTargets(rollout.triggers),
+      completed: 0,
+      successful: 0,
+      failed: 0,
+      cancelled: 0,
+      conflicts: 0
+    },
+    results: [],
+    response: null,
+    error: null,
+    controller: new AbortController(),
+    events: new EventEmitter()
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Public view of a job; per-target results are included unless `includeResults` is false
+ */
+function describeJob(job, includeResults = true) {
+  const view = {
+    jobId: job.id,
+    runId: job.id,
+    owner: job.owner,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress
+  };
+  if (job.error) view.error = job.error;
+  if (includeResults) {
+    view.results = job.results;
+    if (job.response) view.response = job.response;
+  }
+  return view;
+}
+
+/**
+ * Run a job's rollout in the background, recording each target result as it finishes
+ */
+async function startJob(job, getAuth, rollout) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+
+  const onResult = (section, detail) => {
+    const result = { section, ...detail };
+    job.results.push(result);
+    job.progress.completed++;
+    if (detail.status === 'failed') {
+      job.progress.failed++;
+    } else if (detail.status === 'cancelled') {
+      job.progress.cancelled++;
+    } else if (detail.status === 'conflict') {
+      job.progress.conflicts++;
+    } else {
+      job.progress.successful++;
+    }
+    job.events.emit('result', result);
+  };
+
+  try {
+    const totals = {};
+    const onTargets = (section, count) => {
+      totals[section] = count;
+      job.progress.total = Object.values(totals).reduce((sum, n) => sum + n, 0);
+    };
+
+    const { statusCode, response } = await withLogContext({ runId: job.id }, () => runRollout(getAuth, rollout, {
+      runId: job.id,
+      signal: job.controller.signal,
+      onTargets,
+      onResult
+    }));
+    job.response = response;
+    if (job.controller.signal.aborted) {
+      job.status = 'cancelled';
+    } else {
+      job.status = statusCode === 200 ? 'completed' : 'failed';
+    }
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date().toISOString();
+  logger.info(`Job ${job.id} ${job.status}: ${job.progress.successful} successful, ${job.progress.failed} failed, ${job.progress.cancelled} cancelled`, {
+    runId: job.id,
+    progress: job.progress
+  });
+
+  const historyEntry = { runId: job.id, caller: job.owner, payload: job.payload, rollout, startedAt: job.startedAt };
+  await recordRun(job.response
+    ? buildRolloutRecord({ ...historyEntry, response: job.response, status: job.status })
+    : { runId: job.id, kind: 'rollout', caller: job.owner, startedAt: job.startedAt, finishedAt: job.finishedAt, status: job.status, error: job.error, payload: job.payload, targets: [] });
+  job.events.emit('done', describeJob(job, false));
+}
+
+/**
+ * Hash an API key so keys are compared as fixed-length digests
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * Read the API keys from API_KEYS_FILE on every call, so keys can be rotated without a restart.
+ * Each key has a name, the key itself, its scopes and the master sheets it may use ("*" for any).
+ */
+async function loadApiKeys() {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(API_KEYS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`Error reading ${API_KEYS_FILE}: ${error.message}`, { cause: error });
+  }
+
+  const entries = Array.isArray(config) ? config : config.keys;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${API_KEYS_FILE} must contain a list of keys (or { "keys": [...] })`);
+  }
+
+  return entries.map((entry, i) => {
+    const label = entry && entry.name ? `"${entry.name}"` : `#${i + 1}`;
+    if (!entry || typeof entry.name !== 'string' || !entry.name) {
+      throw new Error(`API key ${label} needs a name`);
+    }
+    if (typeof entry.key !== 'string' || entry.key.length < 16) {
+      throw new Error(`API key ${label} must be a string of at least 16 characters`);
+    }
+    const scopes = entry.scopes || [];
+    if (!Array.isArray(scopes) || !scopes.every(scope => API_SCOPES.includes(scope))) {
+      throw new Error(`API key ${label}: scopes must be a list of ${API_SCOPES.join(', ')}`);
+    }
+    const masterSheets = entry.masterSheets || ['*'];
+    if (!Array.isArray(masterSheets) || !masterSheets.every(id => typeof id === 'string')) {
+      throw new Error(`API key ${label}: masterSheets must be a list of spreadsheet IDs or URLs, or ["*"]`);
+    }
+    const profiles = entry.profiles || ['*'];
+    if (!Array.isArray(profiles) || !profiles.every(name => typeof name === 'string' && (name === '*' || SAFE_ID_PATTERN.test(name)))) {
+      throw new Error(`API key ${label}: profiles must be a list of profile names, or ["*"]`);
+    }
+
+    return {
+      name: entry.name,
+      hash: hashApiKey(entry.key),
+      scopes,
+      masterSheets: masterSheets.map(id => id === '*' ? id : extractSpreadsheetId(id)),
+      profiles
+    };
+  });
+}
+
+/**
+ * Append a rejected call to the audit log (one JSON object per line)
+ */
+async function auditLog(entry) {
+  const line = JSON.stringify({ at: new Date().toISOString(), ...entry });
+  logger.warn(`${entry.method} ${entry.path} rejected for ${entry.caller || 'unknown caller'}: ${entry.reason}`);
+  try {
+    await fs.appendFile(AUDIT_LOG_FILE, line + '\n');
+  } catch (error) {
+    logger.error(`Could not write audit log ${AUDIT_LOG_FILE}: ${error.message}`);
+  }
+}
+
+/**
+ * Refuse a request with `status` and record it in the audit log
+ */
+function rejectRequest(req, res, status, reason) {
+  auditLog({
+    method: req.method,
+    path: req.path,
+    ip: req.ip,
+    caller: req.caller ? req.caller.name : null,
+    status,
+    reason
+  });
+  return res.status(status).json({ error: reason });
+}
+
+/**
+ * Middleware: require an API key (Authorization: Bearer <key> or X-API-Key: <key>),
+ * and the given scope (or one of a list of scopes) when one is passed. The matched key is stored as `req.caller`.
+ */
+function requireApiKey(scope) {
+  const allowed = [].concat(scope || []);
+  return async (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const presented = header.toLowerCase().startsWith('bearer ') ? header.slice(7).trim() : req.get('x-api-key');
+    if (!presented) {
+      return rejectRequest(req, res, 401, 'Missing API key (Authorization: Bearer <key> or X-API-Key header)');
+    }
+
+    let keys;
+    try {
+      keys = await loadApiKeys();
+    } catch (error) {
+      logger.error('API key configuration is invalid', { error: error.message });
+      return res.status(500).json({ error: 'API key configuration is invalid' });
+    }
+
+    const presentedHash = hashApiKey(presented);
+    const caller = keys.find(key => crypto.timingSafeEqual(key.hash, presentedHash));
+    if (!caller) {
+      return rejectRequest(req, res, 401, keys.length === 0 ? `No API keys configured (see ${path.basename(API_KEYS_FILE)})` : 'Invalid API key');
+    }
+
+    req.caller = caller;
+    if (allowed.length > 0 && !allowed.some(name => caller.scopes.includes(name))) {
+      const needed = allowed.length === 1 ? `the ${allowed[0]} scope` : `one of the ${allowed.join(', ')} scopes`;
+      return rejectRequest(req, res, 403, `API key "${caller.name}" lacks ${needed}`);
+    }
+    next();
+  };
+}
+
+/**
+ * Whether a caller may use a master sheet
+ */
+function canUseMasterSheet(caller, masterSpreadsheetId) {
+  return caller.masterSheets.includes('*') || caller.masterSheets.includes(extractSpreadsheetId(masterSpreadsheetId));
+}
+
+/**
+ * Whether a caller may act as a credential profile (the default profile when none is named)
+ */
+function canUseProfile(caller, profile) {
+  return caller.profiles.includes('*') || caller.profiles.includes(profile || DEFAULT_PROFILE);
+}
+
+/**
+ * Check a parsed rollout against the caller's scopes, master sheets and profiles. Returns a reason, or null if allowed
+ */
+function checkRolloutAccess(caller, rollout) {
+  if (!canUseProfile(caller, rollout.profile)) {
+    return `API key "${caller.name}" may not use profile ${rollout.profile}`;
+  }
+  const sections = [
+    ['copyFunctions', rollout.functions],
+    ['copyButtons', rollout.buttons],
+    ['triggers', rollout.triggers]
+  ];
+
+  for (const [scope, section] of sections) {
+    if (section.enable !== 'true') continue;
+    if (!caller.scopes.includes(scope)) {
+      return `API key "${caller.name}" lacks the ${scope} scope`;
+    }
+    if (!canUseMasterSheet(caller, section.sourceSheet)) {
+      return `API key "${caller.name}" may not use master sheet ${extractSpreadsheetId(section.sourceSheet)}`;
+    }
+  }
+  // Any project the server can read could be named as the source, so only admins pick one
+  const { source } = rollout.functions;
+  if (rollout.functions.enable === 'true' && source.scriptId && source.scriptId !== SOURCE_SCRIPT_ID && !caller.scopes.includes('admin')) {
+    return `API key "${caller.name}" may not use script ${source.scriptId} as the source (admin scope required)`;
+  }
+  return null;
+}
+
+/**
+ * Whether a caller may see or cancel a job: its submitter, or any admin
+ */
+function canAccessJob(caller, job) {
+  return job.owner === caller.name || caller.scopes.includes('admin');
+}
+
+/**
+ * GET endpoint
+ */
+app.get('/', (req, res) => {
+  res.status(200).json({
+    message: 'API is running. Use POST to / to copy functions and/or buttons.',
+    authentication: 'Every endpoint except this one and /auth/callback needs an API key: Authorization: Bearer <key> or X-API-Key: <key>',
+    note: `Master sheet columns are found by header: ${Object.values(MASTER_SHEET_SCHEMA).map(c => `"${c.column || c.header}"`).join(', ')}`,
     features: {
       autoExecution: 'Buttons are automatically inserted after creation',
-      enhancedLogging: 'Detailed execution logs with error tracking'
+      enhancedLogging: 'Detailed execution logs with error tracking',
+      backups: 'Target script content is backed up before every overwrite'
+    },
+    endpoints: {
+      'GET /auth/start?profile=': 'Start the browser OAuth flow; open the returned authUrl to store a Google token for the profile (admin scope)',
+      'DELETE /cache/master-sheets/:id': 'Invalidate the cached master sheet snapshot (any scope and access to the master sheet; omit :id to clear all, admin scope)',
+      'POST /jobs': 'Same payload as POST /, runs in the background and returns a job ID at once',
+      'GET /jobs/:id': 'Job status, progress counts and per-target results so far',
+      'GET /jobs/:id/stream': 'Per-target results as they finish (NDJSON, or SSE with Accept: text/event-stream)',
+      'POST /jobs/:id/cancel': 'Cancel a job; targets not started yet are skipped',
+      'GET /runs?spreadsheetId=&section=&status=&limit=': 'Run history, newest first (e.g. the last successful copyFunctions of one spreadsheet)',
+      'GET /runs/:id': 'One run with its payload, caller and per-target outcomes',
+      'GET /backups?runId=&scriptId=': 'List backup snapshots (admin scope)',
+      'POST /rollback': '{ runId } restores a whole run, { scriptIds: [...] } (optionally with runId) restores specific targets (admin scope)',
+      'POST /validate': '{ sourceSheet, targetSheets?, filter?, targetSheetTab?, checkImages? } checks every master sheet row without writing and returns issues with severities (any scope)',
+      'GET /drift?sourceSheet=&targetSheets=&filter=&columns=&files=&format=': 'Read-only comparison of every target with the source: in-sync, outdated, locally-modified or missing (JSON, or CSV with format=csv; copyFunctions or admin scope)',
+      'POST /cleanup': '{ sourceSheet, targetSheets?, filter? } removes leftover helper files from every script in the master sheet (admin scope)'
     },
     expectedPayload: {
+      profile: "credential profile name (optional, default: \"default\"; a master sheet Profile column overrides it per target)",
+      writeStatus: "true/false (optional, default: true, write sync times, code version and last error to the master sheet status columns)",
+      discoverScripts: "true/create, find or false (optional, resolve missing Script IDs through Drive or create a bound project, then write them back)",
+      columns: "{ sheetId, scriptId, buttonImageIds, coordinates, profile } mapped to a header name or { column: \"D\" } (optional)",
+      refreshMasterSheet: "true/false (optional, ignore the cached master sheet snapshot)",
+      concurrency: `number of targets processed in parallel (optional, default: ${CONCURRENCY}, max: ${MAX_CONCURRENCY})`,
       copyFunctions: {
         enable: "true/false",
         sourceSheet: "master_spreadsheet_id (with script ID mappings)",
-        targetSheets: ["spreadsheet_id_or_url_1", "spreadsheet_id_or_url_2"]
+        source: "{ scriptId: string } or { directory: \"name under SOURCES_ROOT\" } (optional, default: SOURCE_DIR when set, else SOURCE_SCRIPT_ID)",
+        targetSheets: "[\"spreadsheet_id_or_url_1\", \"spreadsheet_id_or_url_2\"] or \"all\" for every master sheet row",
+        filter: "{ rows: \"2-40,55\", where: { Status: \"active\" }, match: { Name: \"^Lisboa\" } } (optional, columns by header or letter)",
+        files: "all | [\"Code\", \"Sidebar.html\"] | { include: [\"*.gs\"], exclude: [\"Test*\"] } (optional, default: all)",
+        variables: "{ CLIENT_NAME: \"Name\", RATE: \"F\" } fills {{CLIENT_NAME}} placeholders from master sheet columns (optional)",
+        overrides: "{ \"spreadsheet_id\": { RATE: \"0.25\" } } per-target placeholder values, on top of variables (optional)",
+        manifest: "keep/replace (optional, default: keep the target's appsscript.json)",
+        merge: "replace/protected (optional, default: replace; protected keeps the target's protected regions and skips targets whose synced code was edited)",
+        force: "true/false (optional, with merge: protected, overwrite edited synced code instead of skipping the target; regions are still kept)",
+        dryRun: "true/false (optional, returns per-file diffs without writing anything)",
+        createVersion: "true/false or { description: string } (optional, default description includes the run ID)",
+        updateDeployment: "deployment_name or { name: string } (optional, creates or updates that deployment to the new version)"
+      },
+      copyButtons: {
+        enable: "true/false",
+        sourceSheet: "master_spreadsheet_id (same as copyFunctions)",
+        targetSheets: "[\"spreadsheet_id_or_url_1\", \"spreadsheet_id_or_url_2\"] or \"all\"",
+        filter: "same as copyFunctions.filter (optional)",
+        targetSheetTab: "target_sheet_tab_name",
+        buttonScript: "function_name (optional, e.g., 'calcularPagamentos')",
+        mode: "replace/update/skip for buttons already on the tab (optional, default: replace)",
+        cleanup: "onSuccess/never (optional, default: onSuccess, remove the injected tempCopyButtons file after a successful run; it is always kept on failure)"
+      },
+      triggers: {
+        enable: "true/false",
+        sourceSheet: "master_spreadsheet_id (same as copyFunctions)",
+        targetSheets: "[\"spreadsheet_id_or_url_1\"] or \"all\"",
+        filter: "same as copyFunctions.filter (optional)",
+        desired: "[{ function: \"dailyReport\", type: \"time\", schedule: { everyDays: 1, atHour: 6 } }, { function: \"handleEdit\", type: \"onEdit\" }] (types: time, onEdit, onChange, onOpen, onFormSubmit; an empty list removes every trigger this tool created)",
+        cleanup: "onSuccess/never (optional, default: onSuccess, same as copyButtons for the tempManageTriggers helper)"
+      }
+    }
+  });
+});
+
+/**
+ * Validate a rollout payload (shared by POST / and POST /jobs). Returns { error } or { rollout }
+ */
+function parseRolloutPayload(payload) {
+  if (!payload) {
+    return { error: 'Invalid payload. Expected at least one of: copyFunctions, copyButtons, triggers' };
+  }
+
+  if (!payload.copyFunctions && !payload.copyButtons && !payload.triggers) {
+    return { error: 'Invalid payload. Expected at least one of: copyFunctions, copyButtons, triggers' };
+  }
+
+  const isTargetList = (targetSheets) => Array.isArray(targetSheets) || targetSheets === 'all';
+
+  // Validate copyFunctions
+  let functionsEnable = 'false';
+  let functionsSourceSheet = null;
+  let functionsTargetSheets = [];
+  let functionsFiles = { mode: 'all' };
+  let functionsManifest = 'keep';
+  let functionsDryRun = false;
+  let functionsRelease = null;
+  let functionsFilter = null;
+  let functionsSource = null;
+  let functionsTemplating = null;
+  let functionsMerge = 'replace';
+  let functionsForce = false;
+  if (payload.copyFunctions) {
+    if (typeof payload.copyFunctions.enable !== 'string' ||
+        !payload.copyFunctions.sourceSheet ||
+        !isTargetList(payload.copyFunctions.targetSheets)) {
+      return { error: 'Invalid copyFunctions payload. Expected: { enable: "true/false", sourceSheet: string, targetSheets: string[] | "all" }' };
+    }
+    functionsEnable = payload.copyFunctions.enable;
+    functionsSourceSheet = payload.copyFunctions.sourceSheet;
+    functionsTargetSheets = payload.copyFunctions.targetSheets;
+    if (functionsEnable === 'true' && (!functionsSourceSheet || functionsTargetSheets.length === 0)) {
+      return { error: 'sourceSheet and targetSheets (non-empty) required for copyFunctions' };
+    }
+    try {
+      functionsFiles = normalizeFileSelection(payload.copyFunctions.files);
+    } catch (error) {
+      return { error: `Invalid copyFunctions payload: ${error.message}` };
+    }
+    functionsManifest = payload.copyFunctions.manifest || 'keep';
+    if (!['keep', 'replace'].includes(functionsManifest)) {
+      return { error: 'Invalid copyFunctions payload: manifest must be "keep" or "replace"' };
+    }
+    functionsMerge = payload.copyFunctions.merge || 'replace';
+    if (!MERGE_STRATEGIES.includes(functionsMerge)) {
+      return { error: `Invalid copyFunctions payload: merge must be one of ${MERGE_STRATEGIES.join(', ')}` };
+    }
+    functionsForce = payload.copyFunctions.force === true || payload.copyFunctions.force === 'true';
+    functionsDryRun = payload.copyFunctions.dryRun === true || payload.copyFunctions.dryRun === 'true';
+    try {
+      functionsRelease = normalizeReleaseOptions(payload.copyFunctions.createVersion, payload.copyFunctions.updateDeployment);
+      functionsFilter = normalizeTargetFilter(payload.copyFunctions.filter);
+      functionsSource = normalizeSource(payload.copyFunctions.source);
+      functionsTemplating = normalizeTemplating(payload.copyFunctions.variables, payload.copyFunctions.overrides);
+    } catch (error) {
+      return { error: `Invalid copyFunctions payload: ${error.message}` };
+    }
+  }
+
+  // Validate copyButtons
+  let buttonsEnable = 'false';
+  let buttonsSourceSheet = null;
+  let buttonsTargetSheets = [];
+  let targetSheetTab = null;
+  let buttonScript = null;
+  let buttonsFilter = null;
+  let buttonsMode = 'replace';
+  let buttonsCleanup = 'onSuccess';
+  if (payload.copyButtons) {
+    if (typeof payload.copyButtons.enable !== 'string' ||
+        !payload.copyButtons.sourceSheet ||
+        !isTargetList(payload.copyButtons.targetSheets) ||
+        !payload.copyButtons.targetSheetTab) {
+      return { error: 'Invalid copyButtons payload. Expected: { enable: "true/false", sourceSheet: string, targetSheets: string[] | "all", targetSheetTab: string }' };
+    }
+    buttonsEnable = payload.copyButtons.enable;
+    buttonsSourceSheet = payload.copyButtons.sourceSheet;
+    buttonsTargetSheets = payload.copyButtons.targetSheets;
+    targetSheetTab = payload.copyButtons.targetSheetTab;
+    if (typeof targetSheetTab !== 'string' || !SHEET_TAB_PATTERN.test(targetSheetTab)) {
+      return { error: 'Invalid copyButtons payload: targetSheetTab must be 1-100 letters, digits, spaces or _ . , \' ( ) & # + -' };
+    }
+    buttonScript = payload.copyButtons.buttonScript || null;
+    if (buttonScript !== null && (typeof buttonScript !== 'string' || !FUNCTION_NAME_PATTERN.test(buttonScript))) {
+      return { error: 'Invalid copyButtons payload: buttonScript must be a function name (letters, digits, _ and $)' };
+    }
+    if (buttonsEnable === 'true' && (!buttonsSourceSheet || buttonsTargetSheets.length === 0 || !targetSheetTab)) {
+      return { error: 'All fields required for copyButtons when enabled' };
+    }
+    buttonsMode = payload.copyButtons.mode || 'replace';
+    if (!BUTTON_MODES.includes(buttonsMode)) {
+      return { error: `Invalid copyButtons payload: mode must be one of ${BUTTON_MODES.join(', ')}` };
+    }
+    buttonsCleanup = payload.copyButtons.cleanup || 'onSuccess';
+    if (!CLEANUP_POLICIES.includes(buttonsCleanup)) {
+      return { error: `Invalid copyButtons payload: cleanup must be one of ${CLEANUP_POLICIES.join(', ')}` };
+    }
+    try {
+      buttonsFilter = normalizeTargetFilter(payload.copyButtons.filter);
+    } catch (error) {
+      return { error: `Invalid copyButtons payload: ${error.message}` };
+    }
+  }
+
+  // Validate triggers
+  let triggersEnable = 'false';
+  let triggersSourceSheet = null;
+  let triggersTargetSheets = [];
+  let triggersDesired = [];
+  let triggersFilter = null;
+  let triggersCleanup = 'onSuccess';
+  if (payload.triggers) {
+    if (typeof payload.triggers.enable !== 'string' ||
+        !payload.triggers.sourceSheet ||
+        !isTargetList(payload.triggers.targetSheets)) {
+      return { error: 'Invalid triggers payload. Expected: { enable: "true/false", sourceSheet: string, targetSheets: string[] | "all", desired: [{ function, type, schedule }] }' };
+    }
+    triggersEnable = payload.triggers.enable;
+    triggersSourceSheet = payload.triggers.sourceSheet;
+    triggersTargetSheets = payload.triggers.targetSheets;
+    if (triggersEnable === 'true' && triggersTargetSheets.length === 0) {
+      return { error: 'targetSheets (non-empty) required for triggers' };
+    }
+    triggersCleanup = payload.triggers.cleanup || 'onSuccess';
+    if (!CLEANUP_POLICIES.includes(triggersCleanup)) {
+      return { error: `Invalid triggers payload: cleanup must be one of ${CLEANUP_POLICIES.join(', ')}` };
+    }
+    try {
+      // A disabled section is kept for later, so its trigger list is only checked once enabled
+      if (triggersEnable === 'true') {
+        triggersDesired = normalizeTriggerSpecs(payload.triggers.desired);
+      }
+      triggersFilter = normalizeTargetFilter(payload.triggers.filter);
+    } catch (error) {
+      return { error: `Invalid triggers payload: ${error.message}` };
+    }
+  }
+
+  let discovery = null;
+  if (['true', 'create', true].includes(payload.discoverScripts)) {
+    discovery = { create: true };
+  } else if (payload.discoverScripts === 'find') {
+    discovery = { create: false };
+  } else if (![undefined, null, false, 'false'].includes(payload.discoverScripts)) {
+    return { error: 'discoverScripts must be "true"/"create", "find" or "false"' };
+  }
+
+  let columns;
+  try {
+    columns = normalizeColumnOverrides(payload.columns);
+  } catch (error) {
+    return { error: `Invalid payload: ${error.message}` };
+  }
+
+  if (payload.profile !== undefined && (typeof payload.profile !== 'string' || !SAFE_ID_PATTERN.test(payload.profile))) {
+    return { error: 'profile must be a profile name (letters, digits, _ and -)' };
+  }
+
+  let concurrency = CONCURRENCY;
+  if (payload.concurrency !== undefined) {
+    concurrency = parseInt(payload.concurrency);
+    if (isNaN(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+      return { error: `concurrency must be a number between 1 and ${MAX_CONCURRENCY}` };
+    }
+  }
+
+  return {
+    rollout: {
+      functions: {
+        enable: functionsEnable,
+        sourceSheet: functionsSourceSheet,
+        targetSheets: functionsTargetSheets,
+        files: functionsFiles,
+        manifest: functionsManifest,
+        dryRun: functionsDryRun,
+        release: functionsRelease,
+        filter: functionsFilter,
+        source: functionsSource,
+        templating: functionsTemplating,
+        merge: functionsMerge,
+        force: functionsForce
       },
-      copyButtons: {
-        enable: "true/false",
-        sourceSheet: "master_spreadsheet_id (same as copyFunctions)",
-        targetSheets: ["spreadsheet_id_or_url_1", "spreadsheet_id_or_url_2"],
-        targetSheetTab: "target_sheet_tab_name",
-        buttonScript: "function_name (optional, e.g., 'calcularPagamentos')"
+      buttons: {
+        enable: buttonsEnable,
+        sourceSheet: buttonsSourceSheet,
+        targetSheets: buttonsTargetSheets,
+        targetSheetTab,
+        buttonScript,
+        mode: buttonsMode,
+        cleanup: buttonsCleanup,
+        filter: buttonsFilter
+      },
+      triggers: {
+        enable: triggersEnable,
+        sourceSheet: triggersSourceSheet,
+        targetSheets: triggersTargetSheets,
+        desired: triggersDesired,
+        cleanup: triggersCleanup,
+        filter: triggersFilter
+      },
+      concurrency,
+      columns,
+      discovery,
+      profile: payload.profile || DEFAULT_PROFILE,
+      writeStatus: payload.writeStatus !== false && payload.writeStatus !== 'false',
+      refreshMasterSheet: payload.refreshMasterSheet === true || payload.refreshMasterSheet === 'true'
+    }
+  };
+}
+
+/**
+ * Run a validated rollout as the credential profiles resolved by `getAuth` (see createAuthPool):
+ * copyFunctions first, then copyButtons, then triggers. A section that fails ends the rollout, but
+ * the status of every target already processed is still written back to the master sheets.
+ * `hooks.onTargets(section, count)` reports how many targets a section resolved to and
+ * `hooks.onResult(section, detail)` is called as each target finishes; aborting `hooks.signal`
+ * marks the targets that have not started yet as cancelled.
+ */
+async function runRollout(getAuth, rollout, hooks = {}) {
+  const { functions, buttons, triggers, concurrency } = rollout;
+  const runId = hooks.runId || createRunId();
+  const onResult = hooks.onResult || (() => {});
+  const onTargets = hooks.onTargets || (() => {});
+
+  // Master sheets and the source script are accessed as the request's profile,
+  // each target as the profile named in its row (falling back to the request's)
+  const auth = await getAuth();
+  const profileFor = (entry) => (entry && entry.profile) || rollout.profile || DEFAULT_PROFILE;
+
+  // One master sheet snapshot per spreadsheet for the whole rollout, shared by both phases
+  const masterSheets = new Map();
+  const getMasterSheet = (masterSpreadsheetId) => {
+    if (!masterSheets.has(masterSpreadsheetId)) {
+      masterSheets.set(masterSpreadsheetId, loadMasterSheet(auth, masterSpreadsheetId, {
+        refresh: rollout.refreshMasterSheet,
+        columns: rollout.columns
+      }));
+    }
+    return masterSheets.get(masterSpreadsheetId);
+  };
+
+  // Scripts discovered for rows without a Script ID, reported on the targets they belong to
+  const discovered = new Map();
+
+  // Per-row rollout status, written back to each master sheet at the end of the run
+  const statusByMaster = new Map();
+  const recordStatus = (masterSpreadsheetId, masterSheet, detail, update) => {
+    if (!statusByMaster.has(masterSpreadsheetId)) {
+      statusByMaster.set(masterSpreadsheetId, { masterSheet, statuses: new Map() });
+    }
+    const { statuses } = statusByMaster.get(masterSpreadsheetId);
+    if (!statuses.has(detail.spreadsheetId)) {
+      statuses.set(detail.spreadsheetId, { errors: [] });
+    }
+    const status = statuses.get(detail.spreadsheetId);
+    if (detail.status === 'failed' || detail.status === 'conflict') {
+      status.errors.push(`${update.section}: ${detail.error}`);
+    } else {
+      Object.assign(status, update.values);
+    }
+    if (detail.releaseError) {
+      status.errors.push(`${update.section} release: ${detail.releaseError}`);
+    }
+  };
+
+  // Skip targets once the rollout is cancelled and report every finished target as it completes
+  const track = (section, masterSheet, worker) => async (targetSheet) => {
+    const detail = hooks.signal && hooks.signal.aborted
+      ? { spreadsheetId: extractSpreadsheetId(targetSheet), status: 'cancelled' }
+      : await withLogContext({ targetId: extractSpreadsheetId(targetSheet), section }, () => worker(targetSheet));
+    const entry = masterSheet.get(detail.spreadsheetId);
+    if (entry) {
+      detail.profile = profileFor(entry);
+    }
+    if (entry && Object.keys(entry.metadata).length > 0) {
+      detail.metadata = entry.metadata;
+    }
+    if (discovered.has(detail.spreadsheetId)) {
+      detail.discovered = discovered.get(detail.spreadsheetId);
+    }
+    onResult(section, detail);
+    return detail;
+  };
+  const tally = (section, detail) => {
+    if (detail.status === 'failed') {
+      section.failed++;
+    } else if (detail.status === 'cancelled') {
+      section.cancelled = (section.cancelled || 0) + 1;
+    } else if (detail.status === 'conflict') {
+      section.conflicts = (section.conflicts || 0) + 1;
+    } else {
+      section.successful++;
+    }
+    section.details.push(detail);
+  };
+
+  const response = {
+    runId,
+    copyFunctions: { total: 0, successful: 0, failed: 0, details: [] },
+    copyButtons: { total: 0, successful: 0, failed: 0, details: [] },
+    triggers: { total: 0, successful: 0, failed: 0, details: [] }
+  };
+
+  // Read the master sheets, select every section's targets and load the source before any target
+  // is touched. A failure here ends the rollout with nothing written; the status code is returned.
+  const phases = {};
+  const prepare = async () => {
+    if (functions.enable === 'true') {
+      const sourceSpreadsheetId = extractSpreadsheetId(functions.sourceSheet);
+      if (functions.dryRun) {
+        response.copyFunctions.dryRun = true;
+        response.copyFunctions.summary = { changed: 0, unchanged: 0, new: 0, noop: 0 };
+      }
+
+      let scriptIdMap;
+      try {
+        scriptIdMap = await getMasterSheet(sourceSpreadsheetId);
+      } catch (error) {
+        response.copyFunctions.failed = Array.isArray(functions.targetSheets) ? functions.targetSheets.length : 0;
+        response.copyFunctions.details.push({
+          error: `Failed to read script IDs: ${error.message}`
+        });
+        return 500;
+      }
+
+      let targetIds;
+      try {
+        targetIds = selectTargets(scriptIdMap, functions.targetSheets, functions.filter);
+        const firstEntry = scriptIdMap.values().next().value;
+        Object.entries(functions.templating ? functions.templating.columns : {}).forEach(([name, column]) => {
+          if (firstEntry && getMasterSheetValue(firstEntry, column) === undefined) {
+            throw new Error(`Column "${column}" of variable ${name} not found in master sheet`);
+          }
+        });
+      } catch (error) {
+        response.copyFunctions.details.push({ error: error.message });
+        return 400;
+      }
+
+      // The source is read once (as the request's profile) and pushed to every target
+      let sourceFiles;
+      const sourceLabel = functions.source.directory ? `directory ${functions.source.directory}` : functions.source.scriptId;
+      try {
+        ({ value: sourceFiles } = await withRetry(() => loadSourceFiles(auth, functions.source), { label: `copyFunctions source ${sourceLabel}` }));
+      } catch (error) {
+        response.copyFunctions.failed = targetIds.length;
+        response.copyFunctions.details.push({
+          error: `Failed to read source ${sourceLabel}: ${error.message}`
+        });
+        return 500;
+      }
+      // What each target was last synced to, to tell local edits from code this tool pushed
+      let baselines = new Map();
+      if (functions.merge === 'protected') {
+        try {
+          baselines = await loadSyncBaselines();
+        } catch (error) {
+          response.copyFunctions.failed = targetIds.length;
+          response.copyFunctions.details.push({ error: `Failed to read run history: ${error.message}` });
+          return 500;
+        }
+      }
+      phases.functions = { sourceSpreadsheetId, scriptIdMap, targetIds, sourceLabel, sourceFiles, baselines };
+    }
+
+    if (buttons.enable === 'true') {
+      const masterSpreadsheetId = extractSpreadsheetId(buttons.sourceSheet);
+
+      let masterSheet;
+      try {
+        masterSheet = await getMasterSheet(masterSpreadsheetId);
+      } catch (error) {
+        response.copyButtons.failed = Array.isArray(buttons.targetSheets) ? buttons.targetSheets.length : 0;
+        response.copyButtons.details.push({
+          error: `Failed to read master sheet: ${error.message}`
+        });
+        return 500;
+      }
+
+      let targetIds;
+      try {
+        targetIds = selectTargets(masterSheet, buttons.targetSheets, buttons.filter);
+      } catch (error) {
+        response.copyButtons.details.push({ error: error.message });
+        return 400;
+      }
+
+      // Validate every target's buttons before copyFunctions runs, so a bad row never leaves a rollout half done
+      const invalidTargets = [];
+      targetIds.forEach(spreadsheetId => {
+        const entry = masterSheet.get(spreadsheetId);
+        if (!entry) return;
+        try {
+          buildButtonSpecs(entry, buttons.buttonScript);
+        } catch (error) {
+          invalidTargets.push({ spreadsheetId, row: entry.rowNumber, status: 'invalid', error: error.message });
+        }
+      });
+      if (invalidTargets.length > 0) {
+        response.copyButtons.total = targetIds.length;
+        response.copyButtons.details.push(...invalidTargets);
+        response.copyButtons.error = `Button configuration is invalid for ${invalidTargets.length} target(s); nothing was written`;
+        return 400;
+      }
+      phases.buttons = { masterSpreadsheetId, masterSheet, targetIds };
+    }
+
+    if (triggers.enable === 'true') {
+      const masterSpreadsheetId = extractSpreadsheetId(triggers.sourceSheet);
+
+      let masterSheet;
+      try {
+        masterSheet = await getMasterSheet(masterSpreadsheetId);
+      } catch (error) {
+        response.triggers.failed = Array.isArray(triggers.targetSheets) ? triggers.targetSheets.length : 0;
+        response.triggers.details.push({
+          error: `Failed to read master sheet: ${error.message}`
+        });
+        return 500;
+      }
+
+      let targetIds;
+      try {
+        targetIds = selectTargets(masterSheet, triggers.targetSheets, triggers.filter);
+      } catch (error) {
+        response.triggers.details.push({ error: error.message });
+        return 400;
+      }
+      phases.triggers = { masterSpreadsheetId, masterSheet, targetIds };
+    }
+    return 200;
+  };
+  const statusCode = await prepare();
+
+  // Process copyFunctions
+  if (statusCode === 200 && phases.functions) {
+    const { sourceSpreadsheetId, scriptIdMap, targetIds, sourceLabel, sourceFiles, baselines } = phases.functions;
+    response.copyFunctions.total = targetIds.length;
+    onTargets('copyFunctions', targetIds.length);
+    response.copyFunctions.source = functions.source.directory
+      ? { directory: functions.source.directory, contentHash: hashScriptFiles(sourceFiles) }
+      : { scriptId: functions.source.scriptId, contentHash: hashScriptFiles(sourceFiles) };
+
+    if (rollout.discovery) {
+      const found = await discoverMissingScripts(auth, sourceSpreadsheetId, scriptIdMap, targetIds, {
+        create: rollout.discovery.create && !functions.dryRun,
+        writeBack: !functions.dryRun,
+        concurrency,
+        authFor: (spreadsheetId) => getAuth(profileFor(scriptIdMap.get(spreadsheetId)))
+      });
+      found.forEach((discovery, spreadsheetId) => discovered.set(spreadsheetId, discovery));
+    }
+
+    const functionDetails = await runWithConcurrency(targetIds, concurrency, track('copyFunctions', scriptIdMap, async (targetSheet) => {
+      const targetSpreadsheetId = extractSpreadsheetId(targetSheet);
+      try {
+        const targetData = scriptIdMap.get(targetSpreadsheetId);
+        if (!targetData || !targetData.scriptId) {
+          throw new Error(`No script ID found for ${targetSpreadsheetId}`);
+        }
+
+        const profile = profileFor(targetData);
+        const targetAuth = await getAuth(profile);
+        const { value: result, attempts } = await withRetry(() => copyFunction(targetAuth, sourceFiles, targetData.scriptId, {
+          files: functions.files,
+          manifest: functions.manifest,
+          dryRun: functions.dryRun,
+          runId,
+          profile,
+          sourceLabel,
+          templateValues: functions.templating ? resolveTemplateValues(targetData, targetSpreadsheetId, functions.templating) : null,
+          merge: functions.merge,
+          force: functions.force,
+          baseline: baselines.get(targetData.scriptId)
+        }), { label: `copyFunctions ${targetSpreadsheetId}` });
+
+        if (result.conflicts) {
+          return {
+            spreadsheetId: targetSpreadsheetId,
+            status: 'conflict',
+            scriptId: result.scriptId,
+            attempts,
+            error: `Skipped to keep local changes in ${result.conflicts.map(c => c.file).join(', ')}`,
+            conflicts: result.conflicts
+          };
+        }
+        if (result.dryRun) {
+          return {
+            spreadsheetId: targetSpreadsheetId,
+            status: result.noop ? 'no-op' : 'would-update',
+            scriptId: result.scriptId,
+            attempts,
+            summary: result.summary,
+            files: result.files,
+            variables: result.variables,
+            protectedRegions: result.protectedRegions,
+            unverified: result.unverified,
+            diffs: result.diffs
+          };
+        }
+        // Release outside the retried copy so a deployment error never re-pushes or creates another version.
+        // The code is in the target by now, so a failed release is reported next to a successful copy.
+        let releaseError;
+        if (functions.release) {
+          try {
+            Object.assign(result, await createVersionAndDeploy(targetAuth, result.scriptId, {
+              description: functions.release.description || `Apps Script Copier run ${runId}`,
+              deploymentName: functions.release.deploymentName
+            }));
+          } catch (error) {
+            releaseError = error;
+          }
+        }
+        return {
+          spreadsheetId: targetSpreadsheetId,
+          status: 'success',
+          scriptId: result.scriptId,
+          attempts,
+          files: result.files,
+          variables: result.variables,
+          protectedRegions: result.protectedRegions,
+          unverified: result.unverified,
+          contentHash: result.contentHash,
+          fileHashes: result.fileHashes,
+          version: result.version,
+          deployment: result.deployment,
+          releaseError: releaseError && releaseError.message,
+          hints: releaseError && getErrorHints(releaseError)
+        };
+      } catch (error) {
+        return {
+          spreadsheetId: targetSpreadsheetId,
+          status: 'failed',
+          attempts: error.attempts || 1,
+          error: error.message,
+          hints: getErrorHints(error)
+        };
+      }
+    }));
+
+    const syncedAt = new Date().toISOString();
+    functionDetails.forEach(detail => {
+      tally(response.copyFunctions, detail);
+      if (!functions.dryRun && ['success', 'failed', 'conflict'].includes(detail.status)) {
+        recordStatus(sourceSpreadsheetId, scriptIdMap, detail, {
+          section: 'copyFunctions',
+          values: {
+            functionSync: syncedAt,
+            codeVersion: detail.version
+              ? `v${detail.version.number} (${(detail.contentHash || '').slice(0, 12)})`
+              : (detail.contentHash || '').slice(0, 12)
+          }
+        });
       }
+      if (detail.summary) {
+        const summary = response.copyFunctions.summary;
+        summary.changed += detail.summary.changed;
+        summary.unchanged += detail.summary.unchanged;
+        summary.new += detail.summary.new;
+        if (detail.status === 'no-op') summary.noop++;
+      }
+    });
+  } else if (functions.enable !== 'true') {
+    response.copyFunctions.message = 'Copy functions disabled.';
+  }
+
+  // Process copyButtons
+  if (statusCode === 200 && phases.buttons) {
+    const { masterSpreadsheetId, masterSheet, targetIds } = phases.buttons;
+    response.copyButtons.total = targetIds.length;
+    onTargets('copyButtons', targetIds.length);
+
+    if (rollout.discovery) {
+      const found = await discoverMissingScripts(auth, masterSpreadsheetId, masterSheet, targetIds, {
+        create: rollout.discovery.create,
+        concurrency,
+        authFor: (spreadsheetId) => getAuth(profileFor(masterSheet.get(spreadsheetId)))
+      });
+      found.forEach((discovery, spreadsheetId) => discovered.set(spreadsheetId, discovery));
+    }
+
+    const buttonDetails = await runWithConcurrency(targetIds, concurrency, track('copyButtons', masterSheet, async (targetSheet) => {
+      const targetSpreadsheetId = extractSpreadsheetId(targetSheet);
+      try {
+        const profile = profileFor(masterSheet.get(targetSpreadsheetId));
+        const targetAuth = await getAuth(profile);
+        const { value: result, attempts } = await withRetry(() => copyButtonsFromSheet(
+          targetAuth,
+          masterSpreadsheetId,
+          null,
+          null,
+          targetSpreadsheetId,
+          buttons.targetSheetTab,
+          buttons.buttonScript,
+          { runId, masterSheet, mode: buttons.mode, cleanup: buttons.cleanup, profile }
+        ), { label: `copyButtons ${targetSpreadsheetId}` });
+        return {
+          spreadsheetId: targetSpreadsheetId,
+          status: 'success',
+          scriptId: result.scriptId,
+          attempts,
+          functionName: result.functionName,
+          copiedCount: result.copiedCount,
+          counts: result.counts,
+          buttons: result.buttons,
+          message: result.message,
+          helperRemoved: result.helperRemoved,
+          cleanupError: result.cleanupError
+        };
+      } catch (error) {
+        return {
+          spreadsheetId: targetSpreadsheetId,
+          status: 'failed',
+          attempts: error.attempts || 1,
+          error: error.message,
+          hints: getErrorHints(error)
+        };
+      }
+    }));
+
+    const syncedAt = new Date().toISOString();
+    buttonDetails.forEach(detail => {
+      tally(response.copyButtons, detail);
+      if (['success', 'failed'].includes(detail.status)) {
+        recordStatus(masterSpreadsheetId, masterSheet, detail, {
+          section: 'copyButtons',
+          values: { buttonSync: syncedAt }
+        });
+      }
+    });
+  } else if (buttons.enable !== 'true') {
+    response.copyButtons.message = 'Copy buttons disabled.';
+  }
+
+  // Process triggers, after copyFunctions so the handler functions are already in place
+  if (statusCode === 200 && phases.triggers) {
+    const { masterSpreadsheetId, masterSheet, targetIds } = phases.triggers;
+    response.triggers.total = targetIds.length;
+    onTargets('triggers', targetIds.length);
+
+    const triggerDetails = await runWithConcurrency(targetIds, concurrency, track('triggers', masterSheet, async (targetSheet) => {
+      const targetSpreadsheetId = extractSpreadsheetId(targetSheet);
+      try {
+        const targetData = masterSheet.get(targetSpreadsheetId);
+        if (!targetData || !targetData.scriptId) {
+          throw new Error(`No script ID found for ${targetSpreadsheetId}`);
+        }
+
+        const profile = profileFor(targetData);
+        const targetAuth = await getAuth(profile);
+        const { value: result, attempts } = await withRetry(() => manageTriggers(
+          targetAuth,
+          targetSpreadsheetId,
+          targetData.scriptId,
+          triggers.desired,
+          { runId, cleanup: triggers.cleanup, profile }
+        ), { label: `triggers ${targetSpreadsheetId}` });
+
+        const failedTriggers = result.triggers.filter(t => t.action === 'failed');
+        return {
+          spreadsheetId: targetSpreadsheetId,
+          status: failedTriggers.length > 0 ? 'failed' : 'success',
+          scriptId: result.scriptId,
+          attempts,
+          error: failedTriggers.length > 0
+            ? `${failedTriggers.length} trigger(s) could not be created: ${failedTriggers.map(t => `${t.function} (${t.error})`).join('; ')}`
+            : undefined,
+          counts: result.counts,
+          triggers: result.triggers,
+          unmanaged: result.unmanaged,
+          helperRemoved: result.helperRemoved,
+          cleanupError: result.cleanupError
+        };
+      } catch (error) {
+        return {
+          spreadsheetId: targetSpreadsheetId,
+          status: 'failed',
+          attempts: error.attempts || 1,
+          error: error.message,
+          hints: getErrorHints(error)
+        };
+      }
+    }));
+
+    triggerDetails.forEach(detail => {
+      tally(response.triggers, detail);
+      if (['success', 'failed'].includes(detail.status)) {
+        recordStatus(masterSpreadsheetId, masterSheet, detail, { section: 'triggers', values: {} });
+      }
+    });
+  } else if (triggers.enable !== 'true') {
+    response.triggers.message = 'Triggers disabled.';
+  }
+
+
+  if (rollout.writeStatus !== false && statusByMaster.size > 0) {
+    response.statusWriteBack = [];
+    for (const [masterSpreadsheetId, { masterSheet, statuses }] of statusByMaster) {
+      try {
+        const { value } = await withRetry(() => writeRolloutStatus(auth, masterSpreadsheetId, masterSheet, statuses), {
+          label: `status write-back ${masterSpreadsheetId}`
+        });
+        response.statusWriteBack.push({ masterSheet: masterSpreadsheetId, ...value });
+      } catch (error) {
+        logger.error(`Failed to write rollout status to ${masterSpreadsheetId}: ${error.message}`);
+        response.statusWriteBack.push({ masterSheet: masterSpreadsheetId, error: error.message });
+      }
+    }
+  }
+
+  return { statusCode, response };
+}
+
+/**
+ * POST endpoint
+ */
+app.post('/', requireApiKey(), async (req, res) => {
+  const { error, rollout } = parseRolloutPayload(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const denied = checkRolloutAccess(req.caller, rollout);
+  if (denied) {
+    return rejectRequest(req, res, 403, denied);
+  }
+
+  const getAuth = createAuthPool(rollout.profile);
+  try {
+    await getAuth();
+  } catch (error) {
+    return res.status(401).json({ error: 'Authentication failed: ' + error.message });
+  }
+
+  const runId = createRunId();
+  const startedAt = new Date().toISOString();
+  const { statusCode, response } = await withLogContext({ runId }, () => runRollout(getAuth, rollout, { runId }));
+  await recordRun(buildRolloutRecord({ runId, caller: req.caller.name, payload: req.body, rollout, startedAt, statusCode, response }));
+  res.status(statusCode).json(response);
+});
+
+/**
+ * POST endpoint - submit a rollout as a background job
+ */
+app.post('/jobs', requireApiKey(), async (req, res) => {
+  const { error, rollout } = parseRolloutPayload(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const denied = checkRolloutAccess(req.caller, rollout);
+  if (denied) {
+    return rejectRequest(req, res, 403, denied);
+  }
+
+  const getAuth = createAuthPool(rollout.profile);
+  try {
+    await getAuth();
+  } catch (error) {
+    return res.status(401).json({ error: 'Authentication failed: ' + error.message });
+  }
+
+  const job = createJob(rollout, req.caller.name, req.body);
+  startJob(job, getAuth, rollout).catch(error => {
+    logger.error(`Job ${job.id} crashed: ${error.message}`);
+  });
+
+  res.status(202).json({
+    ...describeJob(job, false),
+    links: {
+      status: `/jobs/${job.id}`,
+      stream: `/jobs/${job.id}/stream`,
+      cancel: `/jobs/${job.id}/cancel`
+    }
+  });
+});
+
+/**
+ * GET endpoint - list jobs
+ */
+app.get('/jobs', requireApiKey(), (req, res) => {
+  pruneJobs();
+  const list = [...jobs.values()].filter(job => canAccessJob(req.caller, job)).map(job => describeJob(job, false));
+  res.status(200).json({ total: list.length, jobs: list });
+});
+
+/**
+ * GET endpoint - job status, progress and per-target results so far
+ */
+app.get('/jobs/:id', requireApiKey(), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  }
+  if (!canAccessJob(req.caller, job)) {
+    return rejectRequest(req, res, 403, `API key "${req.caller.name}" may not access job ${job.id}`);
+  }
+  res.status(200).json(describeJob(job));
+});
+
+/**
+ * GET endpoint - stream per-target results as NDJSON (default) or SSE (Accept: text/event-stream or ?format=sse)
+ */
+app.get('/jobs/:id/stream', requireApiKey(), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  }
+  if (!canAccessJob(req.caller, job)) {
+    return rejectRequest(req, res, 403, `API key "${req.caller.name}" may not access job ${job.id}`);
+  }
+
+  const useSse = req.query.format === 'sse' || (req.get('accept') || '').includes('text/event-stream');
+  res.status(200);
+  res.set({
+    'Content-Type': useSse ? 'text/event-stream' : 'application/x-ndjson',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => {
+    if (useSse) {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    } else {
+      res.write(JSON.stringify({ type, ...data }) + '\n');
+    }
+  };
+
+  // Replay what already finished, then follow the job live
+  job.results.forEach(result => send('result', result));
+  if (job.finishedAt) {
+    send('done', describeJob(job, false));
+    return res.end();
+  }
+
+  const onResult = (result) => send('result', result);
+  const onDone = (summary) => {
+    send('done', summary);
+    res.end();
+  };
+  job.events.on('result', onResult);
+  job.events.once('done', onDone);
+
+  req.on('close', () => {
+    job.events.off('result', onResult);
+    job.events.off('done', onDone);
+  });
+});
+
+/**
+ * POST endpoint - cancel a job; targets already in progress finish, the rest are skipped
+ */
+app.post('/jobs/:id/cancel', requireApiKey(), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  }
+  if (!canAccessJob(req.caller, job)) {
+    return rejectRequest(req, res, 403, `API key "${req.caller.name}" may not access job ${job.id}`);
+  }
+  if (job.finishedAt) {
+    return res.status(409).json({ error: `Job ${job.id} already ${job.status}` });
+  }
+
+  job.controller.abort();
+  logger.info(`Cancellation requested for job ${job.id}`);
+  res.status(202).json(describeJob(job, false));
+});
+
+/**
+ * DELETE endpoint - invalidate cached master sheet snapshots (one spreadsheet, or all of them with the admin scope)
+ */
+app.delete('/cache/master-sheets{/:id}', requireApiKey([...ROLLOUT_SCOPES, 'admin']), (req, res) => {
+  const masterSpreadsheetId = req.params.id ? extractSpreadsheetId(req.params.id) : null;
+  if (!masterSpreadsheetId && !req.caller.scopes.includes('admin')) {
+    return rejectRequest(req, res, 403, `API key "${req.caller.name}" may only clear the whole cache with the admin scope`);
+  }
+  if (masterSpreadsheetId && !canUseMasterSheet(req.caller, masterSpreadsheetId)) {
+    return rejectRequest(req, res, 403, `API key "${req.caller.name}" may not use master sheet ${masterSpreadsheetId}`);
+  }
+  const invalidated = invalidateMasterSheetCache(masterSpreadsheetId);
+  res.status(200).json({ invalidated });
+});
+
+/**
+ * GET endpoint - run history, newest first. Filters: spreadsheetId, scriptId, kind, section, status
+ * (of the matching targets), caller, since, limit. With a target filter only matching targets are returned.
+ */
+app.get('/runs', requireApiKey(), async (req, res) => {
+  const { spreadsheetId, scriptId, kind, section, status, caller, since } = req.query;
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+  if (isNaN(limit) || limit < 1) {
+    return res.status(400).json({ error: 'limit must be a positive number' });
+  }
+  if (since && isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: 'since must be a date (ISO 8601)' });
+  }
+
+  let history;
+  try {
+    history = await readRunHistory();
+  } catch (error) {
+    return res.status(500).json({ error: `Failed to read run history: ${error.message}` });
+  }
+
+  const targetFilter = spreadsheetId || scriptId || section || status;
+  const matchesTarget = (target) =>
+    (!spreadsheetId || target.spreadsheetId === extractSpreadsheetId(spreadsheetId)) &&
+    (!scriptId || target.scriptId === scriptId) &&
+    (!section || target.section === section) &&
+    (!status || target.status === status);
+
+  const runs = [];
+  for (const run of history.reverse()) {
+    if (runs.length >= limit) break;
+    if (!canReadRun(req.caller, run)) continue;
+    if ((kind && run.kind !== kind) || (caller && run.caller !== caller) || (since && run.startedAt < new Date(since).toISOString())) continue;
+
+    const { payload, targets, ...summary } = run;
+    if (targetFilter) {
+      const matching = (targets || []).filter(matchesTarget);
+      if (matching.length === 0) continue;
+      runs.push({ ...summary, targets: matching });
+    } else {
+      runs.push(summary);
     }
-  });
+  }
+
+  res.status(200).json({ total: runs.length, runs });
 });
 
 /**
- * POST endpoint
+ * GET endpoint - one run from the history, with its payload and every target outcome
+ */
+app.get('/runs/:id', requireApiKey(), async (req, res) => {
+  let history;
+  try {
+    history = await readRunHistory();
+  } catch (error) {
+    return res.status(500).json({ error: `Failed to read run history: ${error.message}` });
+  }
+
+  const run = history.find(entry => entry.runId === req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: `Run ${req.params.id} not found` });
+  }
+  if (!canReadRun(req.caller, run)) {
+    return rejectRequest(req, res, 403, `API key "${req.caller.name}" may not read run ${run.runId}`);
+  }
+  res.status(200).json(run);
+});
+
+/**
+ * GET endpoint - list backup snapshots
+ */
+app.get('/backups', requireApiKey('admin'), async (req, res) => {
+  const { runId, scriptId } = req.query;
+  if ((runId && !SAFE_ID_PATTERN.test(runId)) || (scriptId && !SAFE_ID_PATTERN.test(scriptId))) {
+    return res.status(400).json({ error: 'Invalid runId or scriptId' });
+  }
+
+  try {
+    const backups = await listBackups({ runId, scriptId });
+    res.status(200).json({ total: backups.length, backups });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to list backups: ${error.message}` });
+  }
+});
+
+/**
+ * POST endpoint - restore targets from backup snapshots
  */
-app.post('/', async (req, res) => {
-  const payload = req.body;
+app.post('/rollback', requireApiKey('admin'), async (req, res) => {
+  const payload = req.body || {};
+  const { runId } = payload;
+  let scriptIds = payload.scriptIds || (payload.scriptId ? [payload.scriptId] : null);
 
-  if (!payload.copyFunctions && !payload.copyButtons) {
+  if (!runId && !scriptIds) {
     return res.status(400).json({
-      error: 'Invalid payload. Expected at least one of: copyFunctions, copyButtons'
+      error: 'Invalid payload. Expected: { runId: string } to restore a whole run, and/or { scriptIds: string[] } (or scriptId) for specific targets'
     });
   }
+  if (scriptIds && (!Array.isArray(scriptIds) || scriptIds.length === 0 || !scriptIds.every(id => typeof id === 'string' && SAFE_ID_PATTERN.test(id)))) {
+    return res.status(400).json({ error: 'scriptIds must be a non-empty list of script IDs' });
+  }
+  if (runId && (typeof runId !== 'string' || !SAFE_ID_PATTERN.test(runId))) {
+    return res.status(400).json({ error: 'Invalid runId' });
+  }
 
-  // Validate copyFunctions
-  let functionsEnable = 'false';
-  let functionsSourceSheet = null;
-  let functionsTargetSheets = [];
-  if (payload.copyFunctions) {
-    if (typeof payload.copyFunctions.enable !== 'string' ||
-        !payload.copyFunctions.sourceSheet ||
-        !Array.isArray(payload.copyFunctions.targetSheets)) {
-      return res.status(400).json({
-        error: 'Invalid copyFunctions payload. Expected: { enable: "true/false", sourceSheet: string, targetSheets: string[] }'
-      });
+  let backups;
+  if (!scriptIds) {
+    try {
+      backups = await listBackups({ runId });
+    } catch (error) {
+      return res.status(500).json({ error: `Failed to list backups: ${error.message}` });
     }
-    functionsEnable = payload.copyFunctions.enable;
-    functionsSourceSheet = payload.copyFunctions.sourceSheet;
-    functionsTargetSheets = payload.copyFunctions.targetSheets;
-    if (functionsEnable === 'true' && (!functionsSourceSheet || functionsTargetSheets.length === 0)) {
-      return res.status(400).json({ error: 'sourceSheet and targetSheets (non-empty) required for copyFunctions' });
+    if (backups.length === 0) {
+      return res.status(404).json({ error: `No backups found for run ${runId}` });
     }
+    scriptIds = backups.map(b => b.scriptId);
   }
 
-  // Validate copyButtons
-  let buttonsEnable = 'false';
-  let buttonsSourceSheet = null;
-  let buttonsTargetSheets = [];
-  let targetSheetTab = null;
-  let buttonScript = null;
-  if (payload.copyButtons) {
-    if (typeof payload.copyButtons.enable !== 'string' ||
-        !payload.copyButtons.sourceSheet ||
-        !Array.isArray(payload.copyButtons.targetSheets) ||
-        !payload.copyButtons.targetSheetTab) {
-      return res.status(400).json({
-        error: 'Invalid copyButtons payload. Expected: { enable: "true/false", sourceSheet: string, targetSheets: string[], targetSheetTab: string }'
-      });
-    }
-    buttonsEnable = payload.copyButtons.enable;
-    buttonsSourceSheet = payload.copyButtons.sourceSheet;
-    buttonsTargetSheets = payload.copyButtons.targetSheets;
-    targetSheetTab = payload.copyButtons.targetSheetTab;
-    buttonScript = payload.copyButtons.buttonScript || null;
-    if (buttonsEnable === 'true' && (!buttonsSourceSheet || buttonsTargetSheets.length === 0 || !targetSheetTab)) {
-      return res.status(400).json({ error: 'All fields required for copyButtons when enabled' });
-    }
+  // Each snapshot records the credential profile that took it
+  const getAuth = createAuthPool();
+
+  const rollbackRunId = createRunId();
+  const startedAt = new Date().toISOString();
+  const response = { runId: rollbackRunId, total: scriptIds.length, successful: 0, failed: 0, details: [] };
+
+  for (const scriptId of scriptIds) {
+    await withLogContext({ runId: rollbackRunId, targetId: scriptId }, async () => {
+      try {
+        const result = await restoreBackup(getAuth, scriptId, runId, rollbackRunId);
+        response.successful++;
+        response.details.push({ status: 'success', ...result });
+      } catch (error) {
+        response.failed++;
+        response.details.push({ scriptId, status: 'failed', error: error.message });
+      }
+    });
+  }
+
+  await recordRun({
+    runId: rollbackRunId,
+    kind: 'rollback',
+    caller: req.caller.name,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    status: 'completed',
+    masterSheets: [],
+    payload,
+    totals: { rollback: { total: response.total, successful: response.successful, failed: response.failed } },
+    targets: response.details.map(({ scriptId, profile, status, restoredFrom, fileHashes, error }) => ({ scriptId, profile, status, restoredFrom, fileHashes, error }))
+  });
+  res.status(200).json(response);
+});
+
+/**
+ * Shared start of the master sheet routes (/cleanup, /validate, /drift): checks the caller may use the
+ * master sheet and profile, authenticates, and loads the selected targets. Replies and returns null on failure.
+ */
+async function openMasterSheetTargets(req, res, { sourceSheet, targetSheets, filter, columns, profile, refreshMasterSheet }) {
+  const invalid = req.method === 'GET' ? 'Invalid query' : 'Invalid payload';
+  try {
+    filter = normalizeTargetFilter(filter);
+    columns = normalizeColumnOverrides(columns);
+  } catch (error) {
+    res.status(400).json({ error: `${invalid}: ${error.message}` });
+    return null;
+  }
+  if (profile !== undefined && (typeof profile !== 'string' || !SAFE_ID_PATTERN.test(profile))) {
+    res.status(400).json({ error: 'profile must be a profile name (letters, digits, _ and -)' });
+    return null;
+  }
+
+  if (!canUseMasterSheet(req.caller, sourceSheet)) {
+    rejectRequest(req, res, 403, `API key "${req.caller.name}" may not use master sheet ${extractSpreadsheetId(sourceSheet)}`);
+    return null;
+  }
+  if (!canUseProfile(req.caller, profile)) {
+    rejectRequest(req, res, 403, `API key "${req.caller.name}" may not use profile ${profile || DEFAULT_PROFILE}`);
+    return null;
   }
 
+  const getAuth = createAuthPool(profile);
   let auth;
   try {
-    auth = await authorize();
+    auth = await getAuth();
   } catch (error) {
-    return res.status(401).json({ error: 'Authentication failed: ' + error.message });
+    res.status(401).json({ error: 'Authentication failed: ' + error.message });
+    return null;
   }
 
-  const response = {
-    copyFunctions: { total: 0, successful: 0, failed: 0, details: [] },
-    copyButtons: { total: 0, successful: 0, failed: 0, details: [] }
-  };
+  const masterSpreadsheetId = extractSpreadsheetId(sourceSheet);
+  try {
+    const masterSheet = await loadMasterSheet(auth, masterSpreadsheetId, {
+      refresh: refreshMasterSheet === true || refreshMasterSheet === 'true',
+      columns
+    });
+    const targetIds = selectTargets(masterSheet, targetSheets, filter);
+    return { getAuth, auth, masterSpreadsheetId, masterSheet, targetIds };
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+}
 
-  // Process copyFunctions
-  if (functionsEnable === 'true') {
-    const sourceSpreadsheetId = extractSpreadsheetId(functionsSourceSheet);
-    response.copyFunctions.total = functionsTargetSheets.length;
+/**
+ * POST endpoint - sweep leftover helper files from the scripts listed in a master sheet
+ */
+app.post('/cleanup', requireApiKey('admin'), async (req, res) => {
+  const payload = req.body || {};
+  const targetSheets = payload.targetSheets || 'all';
 
-    let scriptIdMap;
+  if (!payload.sourceSheet || (targetSheets !== 'all' && (!Array.isArray(targetSheets) || targetSheets.length === 0))) {
+    return res.status(400).json({
+      error: 'Invalid payload. Expected: { sourceSheet: string, targetSheets?: string[] | "all", filter?: object }'
+    });
+  }
+
+  const opened = await openMasterSheetTargets(req, res, { ...payload, targetSheets });
+  if (!opened) return;
+  const { getAuth, masterSpreadsheetId, masterSheet, targetIds } = opened;
+
+  const runId = createRunId();
+  const startedAt = new Date().toISOString();
+  const response = { runId, total: 0, cleaned: 0, clean: 0, failed: 0, details: [] };
+
+  const withScript = targetIds.filter(spreadsheetId => masterSheet.get(spreadsheetId)?.scriptId);
+  response.total = withScript.length;
+
+  response.details = await runWithConcurrency(withScript, CONCURRENCY, (spreadsheetId) => withLogContext({ runId, targetId: spreadsheetId }, async () => {
+    const entry = masterSheet.get(spreadsheetId);
+    const { scriptId } = entry;
+    const profile = entry.profile || payload.profile || DEFAULT_PROFILE;
     try {
-      scriptIdMap = await readScriptIds(auth, sourceSpreadsheetId);
-    } catch (error) {
-      response.copyFunctions.failed = functionsTargetSheets.length;
-      response.copyFunctions.details.push({
-        error: `Failed to read script IDs: ${error.message}`
+      const targetAuth = await getAuth(profile);
+      const { value: removed } = await withRetry(() => removeHelperFiles(targetAuth, scriptId, { runId, profile }), {
+        label: `cleanup ${scriptId}`
       });
-      return res.status(500).json(response);
+      return { spreadsheetId, scriptId, profile, status: removed.length > 0 ? 'cleaned' : 'clean', removed };
+    } catch (error) {
+      return { spreadsheetId, scriptId, profile, status: 'failed', error: error.message };
     }
+  }));
+  response.details.forEach(detail => response[detail.status]++);
 
-    for (let i = 0; i < functionsTargetSheets.length; i++) {
-      const targetSpreadsheetId = extractSpreadsheetId(functionsTargetSheets[i]);
-      try {
-        const targetData = scriptIdMap.get(targetSpreadsheetId);
-        if (!targetData || !targetData.scriptId) {
-          throw new Error(`No script ID found for ${targetSpreadsheetId}`);
-        }
+  await recordRun({
+    runId,
+    kind: 'cleanup',
+    caller: req.caller.name,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    status: 'completed',
+    masterSheets: [masterSpreadsheetId],
+    payload,
+    totals: { cleanup: { total: response.total, cleaned: response.cleaned, clean: response.clean, failed: response.failed } },
+    targets: response.details.map(({ spreadsheetId, scriptId, profile, status, removed, error }) => ({ spreadsheetId, scriptId, profile, status, removed, error }))
+  });
+  res.status(200).json(response);
+});
 
-        const result = await copyFunction(auth, SOURCE_SCRIPT_ID, targetData.scriptId);
-        response.copyFunctions.successful++;
-        response.copyFunctions.details.push({
-          spreadsheetId: targetSpreadsheetId,
-          status: 'success',
-          scriptId: result.scriptId
-        });
-      } catch (error) {
-        response.copyFunctions.failed++;
-        response.copyFunctions.details.push({
-          spreadsheetId: targetSpreadsheetId,
-          status: 'failed',
-          error: error.message
-        });
-      }
-    }
-  } else {
-    response.copyFunctions.message = 'Copy functions disabled.';
+/**
+ * POST endpoint - pre-flight check of every selected master sheet row; writes nothing
+ */
+app.post('/validate', requireApiKey([...ROLLOUT_SCOPES, 'admin']), async (req, res) => {
+  const payload = req.body || {};
+  const targetSheets = payload.targetSheets || 'all';
+
+  if (!payload.sourceSheet || (targetSheets !== 'all' && (!Array.isArray(targetSheets) || targetSheets.length === 0))) {
+    return res.status(400).json({
+      error: 'Invalid payload. Expected: { sourceSheet: string, targetSheets?: string[] | "all", filter?: object, targetSheetTab?: string, checkImages?: boolean }'
+    });
+  }
+  if (payload.targetSheetTab !== undefined && (typeof payload.targetSheetTab !== 'string' || !SHEET_TAB_PATTERN.test(payload.targetSheetTab))) {
+    return res.status(400).json({ error: 'targetSheetTab must be 1-100 letters, digits, spaces or _ . , \' ( ) & # + -' });
   }
 
-  // Process copyButtons
-  if (buttonsEnable === 'true') {
-    const masterSpreadsheetId = extractSpreadsheetId(buttonsSourceSheet);
-    response.copyButtons.total = buttonsTargetSheets.length;
+  const opened = await openMasterSheetTargets(req, res, { ...payload, targetSheets });
+  if (!opened) return;
+  const { getAuth, masterSpreadsheetId, masterSheet, targetIds } = opened;
+
+  const options = {
+    getAuth,
+    profile: payload.profile,
+    targetSheetTab: payload.targetSheetTab,
+    checkImages: payload.checkImages !== false && payload.checkImages !== 'false',
+    imageChecks: new Map()
+  };
+  const targets = await runWithConcurrency(targetIds, CONCURRENCY, async (spreadsheetId) => {
+    const entry = masterSheet.get(spreadsheetId);
+    if (!entry) {
+      return {
+        spreadsheetId,
+        status: 'error',
+        checks: {},
+        issues: [{ check: 'masterSheet', severity: 'error', message: 'Spreadsheet is not listed in the master sheet', hints: [] }]
+      };
+    }
+    return validateTarget(spreadsheetId, entry, options);
+  });
+
+  const summary = { ok: 0, warning: 0, error: 0 };
+  const issuesByCheck = {};
+  targets.forEach(target => {
+    summary[target.status]++;
+    target.issues.forEach(issue => {
+      issuesByCheck[issue.check] = (issuesByCheck[issue.check] || 0) + 1;
+    });
+  });
+
+  res.status(200).json({
+    masterSheet: masterSpreadsheetId,
+    checkedAt: new Date().toISOString(),
+    total: targets.length,
+    summary,
+    issuesByCheck,
+    targets
+  });
+});
 
-    for (let i = 0; i < buttonsTargetSheets.length; i++) {
-      const targetSpreadsheetId = extractSpreadsheetId(buttonsTargetSheets[i]);
+/**
+ * GET endpoint - read-only drift report: every master sheet target's synced files compared
+ * with the source (JSON, or CSV with ?format=csv)
+ */
+app.get('/drift', requireApiKey(['copyFunctions', 'admin']), async (req, res) => {
+  const query = req.query;
+  const format = query.format || (req.accepts(['json', 'csv']) === 'csv' ? 'csv' : 'json');
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'format must be json or csv' });
+  }
+  if (!query.sourceSheet) {
+    return res.status(400).json({
+      error: 'Expected query: sourceSheet, and optionally targetSheets (comma-separated), files, sourceDir or sourceScriptId, filter, columns, variables and overrides (JSON), profile, format'
+    });
+  }
+
+  const targetSheets = query.targetSheets ? String(query.targetSheets).split(',').map(t => t.trim()).filter(Boolean) : 'all';
+  let files;
+  let source;
+  let templating;
+  let filter;
+  let columns;
+  try {
+    files = normalizeFileSelection(query.files ? String(query.files).split(',').map(f => f.trim()) : undefined);
+    source = normalizeSource(query.sourceDir || query.sourceScriptId
+      ? { directory: query.sourceDir, scriptId: query.sourceScriptId }
+      : undefined);
+    const parseJson = (name) => {
+      if (query[name] === undefined) return undefined;
       try {
-        const result = await copyButtonsFromSheet(
-          auth,
-          masterSpreadsheetId,
-          null,
-          null,
-          targetSpreadsheetId,
-          targetSheetTab,
-          buttonScript
-        );
-        response.copyButtons.successful++;
-        response.copyButtons.details.push({
-          spreadsheetId: targetSpreadsheetId,
-          status: 'success',
-          scriptId: result.scriptId,
-          functionName: result.functionName,
-          copiedCount: result.copiedCount,
-          buttons: result.buttons,
-          message: result.message
-        });
+        return JSON.parse(query[name]);
       } catch (error) {
-        response.copyButtons.failed++;
-        response.copyButtons.details.push({
-          spreadsheetId: targetSpreadsheetId,
-          status: 'failed',
-          error: error.message
-        });
+        throw new Error(`${name} must be JSON`);
       }
+    };
+    templating = normalizeTemplating(parseJson('variables'), parseJson('overrides'));
+    filter = parseJson('filter');
+    columns = parseJson('columns');
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid query: ${error.message}` });
+  }
+
+  if (source.scriptId && source.scriptId !== SOURCE_SCRIPT_ID && !req.caller.scopes.includes('admin')) {
+    return rejectRequest(req, res, 403, `API key "${req.caller.name}" may not use script ${source.scriptId} as the source (admin scope required)`);
+  }
+
+  const opened = await openMasterSheetTargets(req, res, {
+    sourceSheet: query.sourceSheet,
+    targetSheets,
+    filter,
+    columns,
+    profile: query.profile,
+    refreshMasterSheet: query.refreshMasterSheet
+  });
+  if (!opened) return;
+  const { getAuth, auth, masterSpreadsheetId, masterSheet, targetIds } = opened;
+
+  let sourceFiles;
+  let history;
+  try {
+    ({ value: sourceFiles } = await withRetry(() => loadSourceFiles(auth, source), { label: 'drift source' }));
+    sourceFiles = selectSourceFiles(sourceFiles, files);
+    history = buildSyncHistory(await readRunHistory());
+  } catch (error) {
+    return res.status(500).json({ error: `Failed to read the source or run history: ${error.message}` });
+  }
+  if (sourceFiles.length === 0) {
+    return res.status(400).json({ error: 'No files in the source match the file selection' });
+  }
+
+  const options = { getAuth, profile: query.profile, sourceFiles, templating, history };
+  const targets = await runWithConcurrency(targetIds, CONCURRENCY, (spreadsheetId) => {
+    const entry = masterSheet.get(spreadsheetId);
+    if (!entry) {
+      return { spreadsheetId, scriptId: null, status: 'missing', error: 'Spreadsheet is not listed in the master sheet', files: [] };
     }
-  } else {
-    response.copyButtons.message = 'Copy buttons disabled.';
+    return checkTargetDrift(spreadsheetId, entry, options);
+  });
+
+  const checkedAt = new Date().toISOString();
+  if (format === 'csv') {
+    const rows = targets.map(t => [
+      t.spreadsheetId,
+      t.scriptId,
+      t.profile,
+      t.status,
+      t.files.filter(f => f.status !== 'in-sync').map(f => `${f.file}:${f.status}`).join('; '),
+      t.lastSync ? t.lastSync.runId : '',
+      t.lastSync ? t.lastSync.at : '',
+      t.error
+    ]);
+    res.status(200)
+      .type('text/csv')
+      .attachment(`drift-${masterSpreadsheetId}-${checkedAt.slice(0, 10)}.csv`)
+      .send(toCsv(['spreadsheetId', 'scriptId', 'profile', 'status', 'changedFiles', 'lastSyncRunId', 'lastSyncAt', 'error'], rows));
+    return;
   }
 
-  res.status(200).json(response);
+  const summary = { 'in-sync': 0, outdated: 0, 'locally-modified': 0, missing: 0, error: 0 };
+  targets.forEach(target => summary[target.status]++);
+  res.status(200).json({
+    masterSheet: masterSpreadsheetId,
+    source: source.directory
+      ? { directory: source.directory, contentHash: hashScriptFiles(sourceFiles) }
+      : { scriptId: source.scriptId, contentHash: hashScriptFiles(sourceFiles) },
+    checkedAt,
+    total: targets.length,
+    summary,
+    targets
+  });
+});
+
+/**
+ * GET endpoint - start the browser OAuth flow for a profile (?profile=name, default profile otherwise);
+ * returns the Google consent URL to open
+ */
+app.get('/auth/start', requireApiKey('admin'), async (req, res) => {
+  let profile;
+  let credentials;
+  try {
+    profile = getProfilePaths(req.query.profile).name;
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    credentials = await loadCredentials(profile);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  if (credentials.type === 'service_account') {
+    return res.status(400).json({ error: 'Credentials are a service account key; no browser authorization is needed' });
+  }
+
+  const now = Date.now();
+  for (const [state, pending] of oauthStates) {
+    if (pending.expiresAt < now) oauthStates.delete(state);
+  }
+
+  const redirectUri = OAUTH_REDIRECT_URI || `${req.protocol}://${req.get('host')}/auth/callback`;
+  let oAuth2Client;
+  try {
+    oAuth2Client = createOAuthClient(credentials, redirectUri);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  const state = crypto.randomBytes(16).toString('hex');
+  const expiresAt = now + OAUTH_STATE_TTL_MS;
+  oauthStates.set(state, { profile, redirectUri, expiresAt, startedBy: req.caller.name });
+
+  const authUrl = oAuth2Client.generateAuthUrl({
+    access_type: 'offline',
+    prompt: 'consent',
+    scope: GOOGLE_SCOPES,
+    state
+  });
+  res.status(200).json({ profile, authUrl, redirectUri, expiresAt: new Date(expiresAt).toISOString() });
+});
+
+/**
+ * GET endpoint - OAuth redirect target; exchanges the code and stores the token
+ */
+app.get('/auth/callback', async (req, res) => {
+  const { state, code, error } = req.query;
+  const pending = typeof state === 'string' ? oauthStates.get(state) : null;
+  if (!pending || pending.expiresAt < Date.now()) {
+    return rejectRequest(req, res, 400, 'Unknown or expired OAuth state. Start again from /auth/start');
+  }
+  oauthStates.delete(state);
+
+  if (error || !code) {
+    return res.status(400).json({ error: `Authorization was not granted: ${error || 'no code returned'}` });
+  }
+
+  try {
+    const oAuth2Client = createOAuthClient(await loadCredentials(pending.profile), pending.redirectUri);
+    const { tokens } = await oAuth2Client.getToken(code);
+    const { tokenPath } = getProfilePaths(pending.profile);
+    await saveToken(tokenPath, tokens);
+    logger.info(`Token of profile "${pending.profile}" stored to ${tokenPath} (flow started by ${pending.startedBy})`);
+    res.status(200).type('text/plain').send('Authorization complete. You can close this window.');
+  } catch (err) {
+    res.status(500).json({ error: `Error retrieving access token: ${err.message}` });
+  }
 });
 
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Enhanced features: Auto-execution with detailed logging`);
-});
\ No newline at end of file
+/**
+ * `node index.js pull <scriptId> <directory> [--profile NAME]` (or `npm run pull -- ...`):
+ * export a script project, source or target, to a local directory
+ */
+async function runPullCommand(args) {
+  let profile = DEFAULT_PROFILE;
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--profile') {
+      profile = args[++i];
+    } else if (args[i].startsWith('--profile=')) {
+      profile = args[i].slice('--profile='.length);
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  const [scriptId, directory] = positional;
+  if (!scriptId || !directory || positional.length > 2 || !SAFE_ID_PATTERN.test(scriptId) || !SAFE_ID_PATTERN.test(profile || '')) {
+    logger.error('Usage: npm run pull -- <scriptId> <directory> [--profile NAME]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const auth = await authorize(profile);
+    const result = await exportScriptProject(auth, scriptId, path.resolve(directory));
+    logger.info(`Pulled ${scriptId} to ${result.directory}: ${result.files.length} files written, ${result.stale.length} stale`, {
+      files: result.files,
+      stale: result.stale,
+      contentHash: result.contentHash
+    });
+  } catch (error) {
+    logger.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Exposed for the tests, which stub the Google API clients
+module.exports = {
+  app,
+  script,
+  BUTTON_HELPER_SOURCE,
+  buildButtonSpecs,
+  copyButtonsFromSheet,
+  parseRolloutPayload,
+  parseProtectedRegions,
+  hashSyncedSource,
+  mergeProtectedRegions,
+  planFunctionCopy
+};
+
+// `pull` exports a script project; anything else starts the server. Nothing runs when required
+if (require.main === module) {
+  const [command, ...commandArgs] = process.argv.slice(2);
+  if (command === 'pull') {
+    runPullCommand(commandArgs);
+  } else {
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, () => {
+      logger.info(`Server running on port ${PORT}`, { port: Number(PORT), logLevel: LOG_LEVEL });
+    });
+  }
+}
@@ -0,0 +1,145 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+const {
+  script,
+  BUTTON_HELPER_SOURCE,
+  buildButtonSpecs,
+  copyButtonsFromSheet,
+  parseRolloutPayload
+} = require('../index');
+
+const HELPER_SOURCE_AT_LOAD = BUTTON_HELPER_SOURCE;
+const SCRIPT_ID = 'TARGETSCRIPTxxxxxxxxxxxxxxxx';
+const TARGET_ID = 'TARGETSHEET';
+const HOSTILE = ["Bob's tab", "x');evil('", "');", 'evil();//'];
+
+// Records every pushed file set and scripts.run call instead of talking to Google
+let pushes;
+let runs;
+let files;
+beforeEach(() => {
+  pushes = [];
+  runs = [];
+  files = [{ name: 'Code', type: 'SERVER_JS', source: 'function main() {}' }];
+  script.projects.get = async ({ scriptId }) => ({ data: { scriptId, title: 'Target' } });
+  script.projects.getContent = async () => ({ data: { files: files.map(f => ({ ...f })) } });
+  script.projects.updateContent = async ({ requestBody }) => {
+    pushes.push(requestBody.files);
+    files = requestBody.files;
+    return { data: {} };
+  };
+  script.scripts.run = async (request) => {
+    runs.push(request);
+    return { data: { response: { result: { success: true, copiedCount: 1, buttons: [] } } } };
+  };
+});
+
+function masterSheetWith(entry) {
+  return new Map([[TARGET_ID, { scriptId: SCRIPT_ID, buttonImageIds: ['img1'], coordinates: [[2, 3]], ...entry }]]);
+}
+
+function buttonsPayload(copyButtons) {
+  return {
+    copyButtons: { enable: 'true', sourceSheet: 'MASTER', targetSheets: [TARGET_ID], targetSheetTab: 'Sheet1', ...copyButtons }
+  };
+}
+
+test('parseRolloutPayload rejects tab names that could break out of a string', () => {
+  for (const tab of ["x');", "');evil('", 'a;b', 'a\nb', '`${x}`', '']) {
+    const { error } = parseRolloutPayload(buttonsPayload({ targetSheetTab: tab }));
+    assert.ok(error, `accepted tab ${JSON.stringify(tab)}`);
+  }
+  assert.strictEqual(parseRolloutPayload(buttonsPayload({ targetSheetTab: "Bob's tab (2)" })).error, undefined);
+});
+
+test('parseRolloutPayload rejects a buttonScript that is not a function name', () => {
+  for (const buttonScript of ["x');evil('", 'a.b', 'a()', 'x y', '1abc', ['run']]) {
+    const { error } = parseRolloutPayload(buttonsPayload({ buttonScript }));
+    assert.match(error, /buttonScript must be a function name/, `accepted ${JSON.stringify(buttonScript)}`);
+  }
+  assert.strictEqual(parseRolloutPayload(buttonsPayload({ buttonScript: 'openForm_2' })).error, undefined);
+});
+
+test('buildButtonSpecs rejects invalid per-row function names and image IDs', () => {
+  assert.throws(
+    () => buildButtonSpecs({ buttonImageIds: ['img1'], coordinates: [[1, 1]], buttonFunctions: ["x');evil('"] }),
+    /button 1: invalid function name/
+  );
+  assert.throws(
+    () => buildButtonSpecs({ buttonImageIds: ['img1'], coordinates: [[1, 1]] }, 'evil();//'),
+    /button 1: invalid function name/
+  );
+  assert.throws(
+    () => buildButtonSpecs({ buttonImageIds: ["img');"], coordinates: [[1, 1]] }),
+    /button 1: invalid image ID/
+  );
+  const [spec] = buildButtonSpecs({ buttonImageIds: ['img1'], coordinates: [[4, 5]], buttonFunctions: ['perRow'] }, 'fallback');
+  assert.deepStrictEqual([spec.function, spec.col, spec.row], ['perRow', 4, 5]);
+});
+
+test('copyButtonsFromSheet refuses hostile tab and function names before touching the target', async () => {
+  await assert.rejects(
+    copyButtonsFromSheet(null, 'MASTER', 'MASTER', 'Sheet1', TARGET_ID, "x');", null, { masterSheet: masterSheetWith({}) }),
+    /Invalid target sheet tab name/
+  );
+  await assert.rejects(
+    copyButtonsFromSheet(null, 'MASTER', 'MASTER', 'Sheet1', TARGET_ID, 'Sheet1', "x');evil('", { masterSheet: masterSheetWith({}) }),
+    /Invalid button function name/
+  );
+  await assert.rejects(
+    copyButtonsFromSheet(null, 'MASTER', 'MASTER', 'Sheet1', TARGET_ID, 'Sheet1', null, {
+      masterSheet: masterSheetWith({ buttonFunctions: ["x');evil('"] })
+    }),
+    /invalid function name/
+  );
+  assert.strictEqual(pushes.length, 0);
+  assert.strictEqual(runs.length, 0);
+});
+
+test('request values reach the helper only as the scripts.run parameter', async () => {
+  const tab = "Bob's tab (2)";
+  await copyButtonsFromSheet(null, 'MASTER', 'MASTER', 'Sheet1', TARGET_ID, tab, 'fallbackFn', {
+    masterSheet: masterSheetWith({ buttonImageIds: ['img1', 'img2'], coordinates: [[2, 3], [4, 5]], buttonFunctions: ['perRowFn'] })
+  });
+
+  const helper = pushes[0].find(f => f.name === 'tempCopyButtons');
+  assert.strictEqual(helper.source, HELPER_SOURCE_AT_LOAD);
+  assert.strictEqual(BUTTON_HELPER_SOURCE, HELPER_SOURCE_AT_LOAD);
+  for (const value of [tab, 'perRowFn', 'fallbackFn', TARGET_ID, 'img2']) {
+    assert.ok(!helper.source.includes(value), `helper source contains ${value}`);
+  }
+
+  assert.strictEqual(runs.length, 1);
+  const { function: functionName, parameters } = runs[0].resource;
+  assert.strictEqual(functionName, 'copyButtonsWithFunctions');
+  assert.strictEqual(parameters.length, 1);
+  assert.strictEqual(parameters[0].spreadsheetId, TARGET_ID);
+  assert.strictEqual(parameters[0].sheetTab, tab);
+  assert.deepStrictEqual(parameters[0].buttons.map(b => b.function), ['perRowFn', 'fallbackFn']);
+  assert.ok(!files.some(f => f.name === 'tempCopyButtons'), 'helper was not removed after the run');
+});
+
+test('the pushed helper is byte-identical whatever the payload holds', async () => {
+  const accepted = [];
+  for (const tab of HOSTILE) {
+    try {
+      await copyButtonsFromSheet(null, 'MASTER', 'MASTER', 'Sheet1', TARGET_ID, tab, null, { masterSheet: masterSheetWith({}) });
+      accepted.push(tab);
+    } catch (error) {
+      assert.match(error.message, /Invalid target sheet tab name/);
+    }
+  }
+  for (const value of HOSTILE) {
+    await assert.rejects(copyButtonsFromSheet(null, 'MASTER', 'MASTER', 'Sheet1', TARGET_ID, 'Sheet1', null, {
+      masterSheet: masterSheetWith({ buttonFunctions: [value] })
+    }));
+  }
+
+  assert.deepStrictEqual(accepted, ["Bob's tab"]);
+  assert.strictEqual(pushes.length, accepted.length * 2);
+  const helpers = pushes.map(pushed => pushed.find(f => f.name === 'tempCopyButtons')).filter(Boolean);
+  assert.deepStrictEqual(helpers.map(f => f.source), accepted.map(() => HELPER_SOURCE_AT_LOAD));
+  assert.deepStrictEqual(runs.map(run => run.resource.parameters[0].sheetTab), accepted);
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+const {
+  parseProtectedRegions,
+  hashSyncedSource,
+  mergeProtectedRegions,
+  planFunctionCopy
+} = require('../index');
+
+function withRegions(synced, regions) {
+  return [
+    `function main() { return ${synced}; }`,
+    ...Object.entries(regions).flatMap(([name, body]) => [
+      `// appsscript-copier:begin-protected ${name}`,
+      body,
+      `// appsscript-copier:end-protected ${name}`
+    ])
+  ].join('\n');
+}
+
+const code = (source) => ({ name: 'Code', type: 'SERVER_JS', source });
+
+test('parseProtectedRegions splits region bodies from synced lines', () => {
+  const parsed = parseProtectedRegions(withRegions(1, { config: "const CONFIG = 'a';\nconst MORE = 2;" }));
+  assert.deepStrictEqual(parsed.regions.get('config'), ["const CONFIG = 'a';", 'const MORE = 2;']);
+  assert.deepStrictEqual(parsed.parts.filter(part => typeof part !== 'string'), [{ region: 'config' }]);
+});
+
+test('parseProtectedRegions reports unbalanced markers', () => {
+  assert.match(parseProtectedRegions('// appsscript-copier:begin-protected a\nx').error, /never closed/);
+  assert.match(parseProtectedRegions('x\n// appsscript-copier:end-protected a').error, /without a matching begin/);
+  assert.match(
+    parseProtectedRegions('// appsscript-copier:begin-protected a\n// appsscript-copier:begin-protected b').error,
+    /expected the end of protected region "a"/
+  );
+  assert.match(parseProtectedRegions(withRegions(1, { a: 'x' }) + '\n' + withRegions(2, { a: 'y' })).error, /appears twice/);
+});
+
+test('region bodies of the target are preserved', () => {
+  const source = code(withRegions(2, { config: "const CONFIG = 'default';" }));
+  const target = code(withRegions(1, { config: "const CONFIG = 'mine';" }));
+  const merged = mergeProtectedRegions(source, target, hashSyncedSource(target.source));
+  assert.strictEqual(merged.source, withRegions(2, { config: "const CONFIG = 'mine';" }));
+  assert.deepStrictEqual(merged.preserved, ['config']);
+});
+
+test('a region new in the source falls back to the source default', () => {
+  const source = code(withRegions(2, { config: "const CONFIG = 'default';", extra: 'const EXTRA = 1;' }));
+  const target = code(withRegions(1, { config: "const CONFIG = 'mine';" }));
+  const merged = mergeProtectedRegions(source, target, hashSyncedSource(target.source));
+  assert.strictEqual(merged.source, withRegions(2, { config: "const CONFIG = 'mine';", extra: 'const EXTRA = 1;' }));
+});
+
+test('a target region missing from the source is a conflict', () => {
+  const source = code(withRegions(2, {}));
+  const target = code(withRegions(1, { config: "const CONFIG = 'mine';" }));
+  const merged = mergeProtectedRegions(source, target, hashSyncedSource(target.source));
+  assert.match(merged.conflict, /config no longer exist in the source/);
+});
+
+test('unbalanced markers in the target are a conflict, even when forced', () => {
+  const source = code(withRegions(2, { config: 'x' }));
+  const target = code('// appsscript-copier:begin-protected config\nconst CONFIG = 1;');
+  assert.match(mergeProtectedRegions(source, target, hashSyncedSource(target.source), true).conflict, /unbalanced/);
+});
+
+test('differing synced code with no baseline is a conflict unless forced', () => {
+  const source = code(withRegions(2, { config: 'x' }));
+  const target = code(withRegions(1, { config: 'mine' }));
+  assert.match(mergeProtectedRegions(source, target, undefined).conflict, /no earlier sync is recorded/);
+  assert.strictEqual(mergeProtectedRegions(source, target, undefined, true).source, withRegions(2, { config: 'mine' }));
+
+  // Synced code already equal to the source needs no baseline
+  const current = code(withRegions(2, { config: 'mine' }));
+  assert.strictEqual(mergeProtectedRegions(source, current, undefined).source, current.source);
+});
+
+test('synced code edited since the baseline is a conflict unless forced', () => {
+  const source = code(withRegions(3, { config: 'x' }));
+  const pushed = code(withRegions(1, { config: 'mine' }));
+  const edited = code(withRegions(1, { config: 'mine' }) + '\n// hand edit');
+  assert.match(mergeProtectedRegions(source, edited, hashSyncedSource(pushed.source)).conflict, /edited in the target/);
+  assert.ok(mergeProtectedRegions(source, edited, hashSyncedSource(pushed.source), true).source);
+});
+
+test('a matching baseline lets the merge through, whatever the region bodies hold', () => {
+  const source = code(withRegions(3, { config: 'x' }));
+  const pushed = code(withRegions(1, { config: 'x' }));
+  const target = code(withRegions(1, { config: 'changed by hand' }));
+  const merged = mergeProtectedRegions(source, target, hashSyncedSource(pushed.source));
+  assert.strictEqual(merged.source, withRegions(3, { config: 'changed by hand' }));
+});
+
+test('planFunctionCopy keeps regions and skips every file on a conflict', () => {
+  const manifest = { name: 'appsscript', type: 'JSON', source: '{}' };
+  const helpers = (synced, body) => ({ name: 'Helpers', type: 'SERVER_JS', source: withRegions(synced, { local: body }) });
+  const sourceFiles = [code(withRegions(2, { config: 'default' })), helpers(2, 'default'), manifest];
+  const targetFiles = [code(withRegions(1, { config: 'mine' })), helpers(1, 'theirs'), manifest];
+  const baseline = {
+    'Code.gs': hashSyncedSource(targetFiles[0].source),
+    'Helpers.gs': hashSyncedSource(targetFiles[1].source)
+  };
+
+  const plan = planFunctionCopy(sourceFiles, targetFiles, { merge: 'protected', baseline });
+  assert.strictEqual(plan.conflicts, undefined);
+  assert.deepStrictEqual(plan.protectedRegions, { 'Code.gs': ['config'], 'Helpers.gs': ['local'] });
+  assert.strictEqual(plan.files.find(f => f.name === 'Code').source, withRegions(2, { config: 'mine' }));
+  assert.strictEqual(plan.files.find(f => f.name === 'Helpers').source, withRegions(2, { local: 'theirs' }));
+
+  const conflicted = planFunctionCopy(sourceFiles, targetFiles, { merge: 'protected', baseline: { 'Code.gs': baseline['Code.gs'] } });
+  assert.deepStrictEqual(conflicted.conflicts.map(c => c.file), ['Helpers.gs']);
+  assert.strictEqual(conflicted.files, undefined);
+});